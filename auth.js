@@ -0,0 +1,99 @@
+// Token verification shared by the api and the mintToken script.
+// AUTH_MODE picks the verifier: "firebase" (the default) checks Firebase id
+// tokens, "local" checks JWTs signed by this server so it can run without a
+// Firebase project. Both resolve a token to { uid, email, email_verified }.
+const jwt = require("jsonwebtoken");
+
+const localIssuer = "digital-life-lessons-local";
+
+// keys in env vars usually have their newlines escaped
+const readKey = (value) => value && value.replace(/\\n/g, "\n");
+
+const createFirebaseVerifier = () => {
+  const admin = require("firebase-admin");
+  if (!process.env.FB_SERVICE_KEY) {
+    throw new Error("FB_SERVICE_KEY is required when AUTH_MODE is firebase");
+  }
+  const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString(
+    "utf-8"
+  );
+  const serviceAccount = JSON.parse(decoded);
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+  return {
+    mode: "firebase",
+    verify: async (token) => {
+      const decodedToken = await admin.auth().verifyIdToken(token);
+      return {
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        email_verified: !!decodedToken.email_verified,
+      };
+    },
+  };
+};
+
+// HS256 signs and verifies with AUTH_JWT_SECRET, RS256 verifies with
+// AUTH_JWT_PUBLIC_KEY and, where tokens are minted, signs with
+// AUTH_JWT_PRIVATE_KEY
+const createLocalVerifier = () => {
+  const algorithm = process.env.AUTH_JWT_ALGORITHM || "HS256";
+  let signingKey;
+  let verifyingKey;
+  if (algorithm === "HS256") {
+    signingKey = process.env.AUTH_JWT_SECRET;
+    verifyingKey = signingKey;
+  } else if (algorithm === "RS256") {
+    signingKey = readKey(process.env.AUTH_JWT_PRIVATE_KEY);
+    verifyingKey = readKey(process.env.AUTH_JWT_PUBLIC_KEY);
+  } else {
+    throw new Error("AUTH_JWT_ALGORITHM must be HS256 or RS256");
+  }
+  if (!verifyingKey) {
+    throw new Error(
+      algorithm === "HS256"
+        ? "AUTH_JWT_SECRET is required when AUTH_MODE is local"
+        : "AUTH_JWT_PUBLIC_KEY is required for RS256"
+    );
+  }
+  return {
+    mode: "local",
+    verify: async (token) => {
+      const payload = jwt.verify(token, verifyingKey, {
+        algorithms: [algorithm],
+        issuer: localIssuer,
+      });
+      if (!payload.email) {
+        throw new Error("Token has no email claim");
+      }
+      return {
+        uid: payload.sub,
+        email: payload.email,
+        email_verified: !!payload.email_verified,
+      };
+    },
+    sign: ({ uid, email, email_verified = true }, expiresIn = "1h") => {
+      if (!signingKey) {
+        throw new Error(
+          "AUTH_JWT_PRIVATE_KEY is required to mint RS256 tokens"
+        );
+      }
+      return jwt.sign({ email, email_verified }, signingKey, {
+        algorithm,
+        subject: uid || email,
+        issuer: localIssuer,
+        expiresIn,
+      });
+    },
+  };
+};
+
+const createVerifier = () => {
+  const mode = process.env.AUTH_MODE || "firebase";
+  if (mode === "firebase") return createFirebaseVerifier();
+  if (mode === "local") return createLocalVerifier();
+  throw new Error("AUTH_MODE must be firebase or local");
+};
+
+module.exports = { createVerifier, createLocalVerifier };
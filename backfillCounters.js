@@ -0,0 +1,50 @@
+// Fills the like, favorite, comment and view counters on lessons that were
+// created before the counters existed. Safe to run again.
+// usage: node backfillCounters.js
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const client = new MongoClient(process.env.MONGODB_URI);
+
+async function run() {
+  try {
+    const database = client.db("digital-life-lessons");
+    const lessonsCollection = database.collection("lessons");
+    const commentsCollection = database.collection("comments");
+
+    const result = await lessonsCollection.updateMany({}, [
+      {
+        $set: {
+          likeCount: { $size: { $ifNull: ["$likes", []] } },
+          favoriteCount: { $size: { $ifNull: ["$favorites", []] } },
+          viewCount: { $ifNull: ["$viewCount", 0] },
+          commentCount: 0,
+        },
+      },
+    ]);
+
+    const commentCounts = await commentsCollection
+      .aggregate([
+        { $match: { deletedAt: { $exists: false } } },
+        { $group: { _id: "$lessonId", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    if (commentCounts.length) {
+      await lessonsCollection.bulkWrite(
+        commentCounts.map((item) => ({
+          updateOne: {
+            filter: { _id: item._id },
+            update: { $set: { commentCount: item.count } },
+          },
+        }))
+      );
+    }
+    console.log(`Counters updated on ${result.modifiedCount} lessons`);
+  } finally {
+    await client.close();
+  }
+}
+run().catch((error) => {
+  console.dir(error);
+  process.exitCode = 1;
+});
@@ -2,19 +2,37 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
-const admin = require("firebase-admin");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+const {
+  lessonSchema,
+  userSchema,
+  commentSchema,
+  reportSchema,
+  collectionSchema,
+  accountStatuses,
+  accountActionSchema,
+  validate,
+} = require("./schemas");
+const { createVerifier } = require("./auth");
 const port = process.env.PORT || 3000;
 const stripe = require("stripe")(process.env.STRIPE_KEY);
 
-const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString(
-  "utf-8"
-);
-const serviceAccount = JSON.parse(decoded);
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+// firebase by default, AUTH_MODE=local runs on our own signed tokens
+const tokenVerifier = createVerifier();
 
 const app = express();
+// req.ip feeds the audit log and the per ip rate limits, so forwarded
+// headers are only believed when TRUST_PROXY says how many proxies (or which
+// addresses) sit in front. On vercel it defaults to its one proxy, otherwise
+// every client would share the proxy's address.
+const readTrustProxy = (value) => {
+  if (!value) return process.env.VERCEL ? 1 : false;
+  if (value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", readTrustProxy(process.env.TRUST_PROXY));
 // middleware
 app.use(
   cors({
@@ -30,20 +48,506 @@ app.use(
   })
 );
 
-app.use(express.json());
+// json bodies everywhere at the default size limit. The stripe webhook needs
+// the raw bytes to check its signature and lesson imports can be large, so
+// those two routes bring their own parsers.
+const ownBodyParsers = ["/stripe/webhook", "/lessons/import"];
+const jsonParser = express.json();
+app.use((req, res, next) =>
+  ownBodyParsers.includes(req.path) ? next() : jsonParser(req, res, next)
+);
 
 // jwt middlewares
+// run() swaps this for a lookup once the database is connected, it returns
+// why an account may not change anything or null
+let accountRestriction = async () => null;
+const writeMethods = ["POST", "PUT", "PATCH", "DELETE"];
+
+// suspended and banned users can still sign in and read, not write
 const verifyJWT = async (req, res, next) => {
   const token = req?.headers?.authorization?.split(" ")[1];
   if (!token) return res.status(401).send({ message: "Unauthorized Access!" });
+  let decoded;
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.tokenEmail = decoded.email;
-    next();
+    decoded = await tokenVerifier.verify(token);
   } catch (err) {
     return res.status(401).send({ message: "Unauthorized Access!", err });
   }
+  req.tokenUser = decoded;
+  req.tokenEmail = decoded.email;
+  if (writeMethods.includes(req.method)) {
+    try {
+      const restriction = await accountRestriction(decoded.email);
+      if (restriction) return res.status(403).send(restriction);
+    } catch (error) {
+      return res.status(500).send({
+        message: "Can't check account status",
+        error: error.message,
+      });
+    }
+  }
+  next();
+};
+
+// for public routes that show more to signed in users
+const optionalJWT = async (req, res, next) => {
+  const token = req?.headers?.authorization?.split(" ")[1];
+  if (token) {
+    try {
+      const decoded = await tokenVerifier.verify(token);
+      req.tokenUser = decoded;
+      req.tokenEmail = decoded.email;
+    } catch (err) {
+      // an invalid token just means an anonymous viewer
+    }
+  }
+  next();
+};
+
+// rejects bodies that don't match a schema from ./schemas
+const sendValidationErrors = (res, errors) =>
+  res.status(422).json({ message: "Validation failed", errors });
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length) {
+    return sendValidationErrors(res, errors);
+  }
+  req.body = value;
+  next();
+};
+
+// rate limiting
+// Token buckets: a bucket holds up to `capacity` tokens and gets `perMinute`
+// back each minute, every request takes one. Stores return how many seconds
+// to wait when the bucket is empty.
+const bucketRate = (limit) => limit.perMinute / 60000;
+
+const createMemoryStore = () => {
+  const buckets = new Map();
+  // drop buckets that have filled up again, they hold nothing a new one won't
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    });
+  }, 60 * 1000).unref();
+  return {
+    take: async (key, limit) => {
+      const now = Date.now();
+      const rate = bucketRate(limit);
+      const bucket = buckets.get(key);
+      const tokens = bucket
+        ? Math.min(
+            limit.capacity,
+            bucket.tokens + (now - bucket.updatedAt) * rate
+          )
+        : limit.capacity;
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      buckets.set(key, {
+        tokens: left,
+        updatedAt: now,
+        fullAt: now + (limit.capacity - left) / rate,
+      });
+      return { allowed, retryAfter: Math.ceil((1 - left) / rate / 1000) };
+    },
+  };
+};
+
+// shares buckets between instances, the refill and take happen in one
+// update so concurrent requests can't both spend the last token
+const createMongoStore = (collection) => ({
+  take: async (key, limit) => {
+    const now = new Date();
+    const rate = bucketRate(limit);
+    const bucket = await collection.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                limit.capacity,
+                {
+                  $add: [
+                    { $ifNull: ["$tokens", limit.capacity] },
+                    {
+                      $multiply: [
+                        { $subtract: [now, { $ifNull: ["$updatedAt", now] }] },
+                        rate,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            allowed: { $gte: ["$tokens", 1] },
+            tokens: {
+              $cond: [
+                { $gte: ["$tokens", 1] },
+                { $subtract: ["$tokens", 1] },
+                "$tokens",
+              ],
+            },
+            updatedAt: now,
+            // the ttl index removes buckets once they would be full again
+            expiresAt: new Date(now.getTime() + limit.capacity / rate),
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+    return {
+      allowed: bucket.allowed,
+      retryAfter: Math.ceil((1 - bucket.tokens) / rate / 1000),
+    };
+  },
+});
+
+// list pagination
+// A cursor is the sort key values of the last item on a page, so every sort
+// ends on _id to keep the order total.
+const sortPresets = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  title: { title: 1, _id: 1 },
+};
+const fieldValue = (doc, field) =>
+  field.split(".").reduce((value, key) => value?.[key], doc);
+
+const encodeCursor = (doc, sort) =>
+  Buffer.from(
+    JSON.stringify(
+      Object.keys(sort).map((field) => {
+        const value = fieldValue(doc, field) ?? null;
+        if (value instanceof Date) return { $date: value.toISOString() };
+        if (value instanceof ObjectId) return { $oid: value.toHexString() };
+        return value;
+      })
+    )
+  ).toString("base64url");
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (values.length !== Object.keys(sort).length) return null;
+    return values.map((value) => {
+      if (value?.$date) return new Date(value.$date);
+      if (value?.$oid) return new ObjectId(value.$oid);
+      return value;
+    });
+  } catch (error) {
+    return null;
+  }
+};
+// matches what comes after the decoded cursor position in this sort
+// Mongo sorts by type first (missing and null, numbers, strings, objects,
+// arrays, ids, booleans, dates) and $gt/$lt only compare within one type, so
+// a value comes after the cursor when it is further along in its own type or
+// has a type that sorts further along. Unset counters and string dates from
+// before the migrations land on the right page that way.
+const bsonTypeOrder = [
+  "number",
+  "string",
+  "object",
+  "array",
+  "objectId",
+  "bool",
+  "date",
+];
+const bsonTypeOf = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return "number";
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "bool";
+  if (value instanceof Date) return "date";
+  if (value instanceof ObjectId) return "objectId";
+  return Array.isArray(value) ? "array" : "object";
+};
+const pastValue = (field, value, direction) => {
+  const type = bsonTypeOf(value);
+  const typeIndex = bsonTypeOrder.indexOf(type);
+  if (direction === 1) {
+    if (!type) return [{ [field]: { $ne: null } }];
+    const later = bsonTypeOrder.slice(typeIndex + 1);
+    return [
+      { [field]: { $gt: value } },
+      ...(later.length ? [{ [field]: { $type: later } }] : []),
+    ];
+  }
+  // nothing sorts below null
+  if (!type) return [];
+  const earlier = bsonTypeOrder.slice(0, typeIndex);
+  return [
+    { [field]: { $lt: value } },
+    { [field]: null },
+    ...(earlier.length ? [{ [field]: { $type: earlier } }] : []),
+  ];
+};
+const afterCursor = (sort, after) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.flatMap((field, index) => {
+      // equal on every earlier field, a null also matches a missing one
+      const equal = Object.fromEntries(
+        fields.slice(0, index).map((previous, i) => [previous, after[i]])
+      );
+      return pastValue(field, after[index], sort[field]).map((condition) => ({
+        ...equal,
+        ...condition,
+      }));
+    }),
+  };
+};
+const pageLimit = (limit, fallback = 20, max = 100) =>
+  Math.min(Math.max(parseInt(limit) || fallback, 1), max);
+
+// reads ?sort, ?cursor and ?limit, `error` is set when one is not allowed
+const readListQuery = (query, sorts, defaultSort, defaultLimit) => {
+  const sortName = query.sort || defaultSort;
+  const sort = sorts[sortName];
+  if (!sort) {
+    return { error: `sort must be one of ${Object.keys(sorts).join(", ")}` };
+  }
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, sort);
+    if (!after) return { error: "Invalid cursor" };
+  }
+  return { sort, after, limit: pageLimit(query.limit, defaultLimit) };
+};
+const withCursor = (query, list) =>
+  list.after ? { $and: [query, afterCursor(list.sort, list.after)] } : query;
+
+// items are fetched with limit + 1 to know if there is another page
+const pageOf = (items, list) => {
+  const hasMore = items.length > list.limit;
+  const page = items.slice(0, list.limit);
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], list.sort) : null,
+    hasMore,
+  };
+};
+const findPage = async (collection, query, list) =>
+  pageOf(
+    await collection
+      .find(withCursor(query, list))
+      .sort(list.sort)
+      .limit(list.limit + 1)
+      .toArray(),
+    list
+  );
+// every list endpoint answers with this shape
+const listResponse = (
+  message,
+  result,
+  { nextCursor = null, hasMore = false } = {},
+  extra = {}
+) => ({
+  message,
+  result,
+  nextCursor,
+  hasMore,
+  ...extra,
+});
+const sendListError = (res, list) =>
+  res.status(400).json({ message: list.error });
+
+// csv export, values with commas, quotes or newlines get quoted
+const formulaStart = /^[=+\-@\t\r]/;
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object" && !(value instanceof ObjectId)
+      ? JSON.stringify(value)
+      : String(value);
+  // a leading =, +, -, @, tab or CR makes spreadsheets read a formula,
+  // parseCsv takes the quote off again
+  const safe =
+    typeof value !== "number" && formulaStart.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+const toCsv = (columns, rows) =>
+  [
+    columns.map(csvValue).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvValue(fieldValue(row, column))).join(",")
+    ),
+  ].join("\r\n");
+
+// parses csv text into objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  const [header = [], ...body] = rows.filter((cells) =>
+    cells.some((cell) => cell !== "")
+  );
+  const unescape = (cell) =>
+    cell?.startsWith("'") && formulaStart.test(cell.slice(1))
+      ? cell.slice(1)
+      : cell;
+  return body.map((cells) =>
+    Object.fromEntries(
+      header.map((column, i) => [column.trim(), unescape(cells[i])])
+    )
+  );
+};
+
+// markdown with a front-matter block, every value in it is written as json
+// so it reads back without a yaml parser
+const toMarkdown = (meta, body) =>
+  [
+    "---",
+    ...Object.entries(meta)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`),
+    "---",
+    "",
+    body || "",
+    "",
+  ].join("\n");
+const parseMarkdown = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) return { body: text.trim() };
+  const meta = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    try {
+      meta[key] = JSON.parse(raw);
+    } catch (error) {
+      meta[key] = raw;
+    }
+  });
+  return { ...meta, body: match[2].trim() };
+};
+
+// search highlighting
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// keeps the words of a $text search, minus negated ones
+const searchTerms = (search) =>
+  search
+    .split(/\s+/)
+    .filter((term) => !term.startsWith("-"))
+    .map((term) => term.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter(Boolean);
+
+// cuts a snippet around the first match and wraps every match in <mark>,
+// returns null when nothing matched. Whole words starting with a term are
+// marked, close to what the stemming in $text matches.
+const highlightSnippet = (text, terms, radius = 60) => {
+  if (!text || !terms.length) return null;
+  const pattern = new RegExp(`((?:${terms.join("|")})[\\p{L}\\p{N}]*)`, "giu");
+  const first = text.search(pattern);
+  if (first === -1) return null;
+  const start = Math.max(first - radius, 0);
+  const end = Math.min(first + radius, text.length);
+  const snippet = text.slice(start, end);
+  const marked = snippet
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+  return `${start > 0 ? "..." : ""}${marked}${end < text.length ? "..." : ""}`;
+};
+
+// premium entitlement
+const activeSubscriptionStatuses = ["active", "trialing", "past_due"];
+// an admin's premiumOverride beats whatever the payments say
+const hasActiveEntitlement = (user) => {
+  if (typeof user?.premiumOverride === "boolean") {
+    return user.premiumOverride;
+  }
+  const subscription = user?.subscription;
+  if (!subscription) {
+    // lifetime buyers from before plans existed only have the flag
+    return user?.isPremium || false;
+  }
+  if (subscription.interval === "lifetime") {
+    return subscription.status === "active";
+  }
+  if (!activeSubscriptionStatuses.includes(subscription.status)) {
+    return false;
+  }
+  return (
+    !subscription.currentPeriodEnd ||
+    new Date(subscription.currentPeriodEnd) > new Date()
+  );
 };
+// the same rules as a mongo query, for listing users by entitlement
+const entitlementQuery = (now = new Date()) => ({
+  $or: [
+    { premiumOverride: true },
+    {
+      premiumOverride: { $nin: [true, false] },
+      $or: [
+        { subscription: null, isPremium: true },
+        {
+          "subscription.interval": "lifetime",
+          "subscription.status": "active",
+        },
+        {
+          "subscription.interval": { $ne: "lifetime" },
+          "subscription.status": { $in: activeSubscriptionStatuses },
+          "subscription.currentPeriodEnd": { $not: { $lte: now } },
+        },
+      ],
+    },
+  ],
+});
 
 // Create a MongoClient with a MongoClientOptions object to set the Stable API version
 const client = new MongoClient(process.env.MONGODB_URI, {
@@ -59,6 +563,80 @@ async function run() {
     const database = client.db("digital-life-lessons");
     const userCollection = database.collection("users");
     const lessonsCollection = database.collection("lessons");
+    const paymentsCollection = database.collection("payments");
+    const plansCollection = database.collection("plans");
+    const commentsCollection = database.collection("comments");
+    const reportsCollection = database.collection("reports");
+    const lessonActivityCollection = database.collection("lessonActivity");
+    const notificationsCollection = database.collection("notifications");
+    const followsCollection = database.collection("follows");
+    const lessonRevisionsCollection = database.collection("lessonRevisions");
+    const auditLogCollection = database.collection("auditLog");
+    const stripeEventsCollection = database.collection("stripeEvents");
+    const collectionsCollection = database.collection("collections");
+    const learningPathsCollection = database.collection("learningPaths");
+    const lessonViewsCollection = database.collection("lessonViews");
+    const lessonStatsCollection = database.collection("lessonStats");
+
+    // a single instance can keep its buckets in memory, RATE_LIMIT_STORE=mongo
+    // shares them when more than one runs
+    const rateLimitStore =
+      process.env.RATE_LIMIT_STORE === "mongo"
+        ? createMongoStore(database.collection("rateLimits"))
+        : createMemoryStore();
+    // per route limits, signed in users get a bucket of their own on top of
+    // the one for their ip
+    const rateLimits = {
+      reaction: {
+        user: { capacity: 30, perMinute: 30 },
+        ip: { capacity: 60, perMinute: 60 },
+      },
+      comment: {
+        user: { capacity: 5, perMinute: 5 },
+        ip: { capacity: 20, perMinute: 20 },
+      },
+      report: {
+        user: { capacity: 3, perMinute: 1 },
+        ip: { capacity: 10, perMinute: 5 },
+      },
+      signup: { ip: { capacity: 5, perMinute: 2 } },
+    };
+    // answers 429 and returns true when the request is over its limits
+    const overRateLimit = async (name, req, res) => {
+      try {
+        const limits = rateLimits[name];
+        const checks = [["ip", req.ip]];
+        if (req.tokenEmail && limits.user) {
+          checks.push(["user", req.tokenEmail]);
+        }
+        const results = await Promise.all(
+          checks
+            .filter(([scope]) => limits[scope])
+            .map(([scope, id]) =>
+              rateLimitStore.take(`${name}:${scope}:${id}`, limits[scope])
+            )
+        );
+        const blocked = results.filter((result) => !result.allowed);
+        if (blocked.length) {
+          const retryAfter = Math.max(
+            ...blocked.map((result) => result.retryAfter)
+          );
+          res.setHeader("Retry-After", String(retryAfter));
+          res.status(429).json({
+            message: "Too many requests, try again later",
+            retryAfter,
+          });
+          return true;
+        }
+      } catch (error) {
+        // a broken store shouldn't take the routes down with it
+        console.error("Rate limit check failed", error);
+      }
+      return false;
+    };
+    const rateLimit = (name) => async (req, res, next) => {
+      if (!(await overRateLimit(name, req, res))) next();
+    };
 
     // middleware
     const verifyAdmin = async (req, res, next) => {
@@ -73,65 +651,564 @@ async function run() {
       next();
     };
 
-    // Lessons apis
-    app.post("/lessons", verifyJWT, async (req, res) => {
+    // audit log
+    // append only, nothing in the api updates or deletes these entries
+    const audit = (req, { action, targetType, targetId, before, after }) =>
+      auditLogCollection.insertOne({
+        actorEmail: req.tokenEmail,
+        action: action,
+        target: { type: targetType, id: targetId },
+        before: before ?? null,
+        after: after ?? null,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || null,
+        createdAt: new Date(),
+      });
+    const pickFields = (doc, fields) =>
+      doc
+        ? Object.fromEntries(fields.map((field) => [field, doc[field] ?? null]))
+        : null;
+
+    // premium lesson access
+    const getViewer = async (req) => {
+      if (!req.tokenEmail) {
+        return { email: null, isAdmin: false, isPremium: false };
+      }
+      const user = await userCollection.findOne({ email: req.tokenEmail });
+      return {
+        email: req.tokenEmail,
+        isAdmin: user?.role === "admin",
+        isPremium: hasActiveEntitlement(user),
+      };
+    };
+
+    const previewLength = 150;
+    const presentLesson = (lesson, viewer) => {
+      if (
+        !lesson ||
+        lesson.accessLevel !== "premium" ||
+        viewer.isAdmin ||
+        viewer.isPremium ||
+        lesson.creator?.email === viewer.email
+      ) {
+        return lesson;
+      }
+      const description = lesson.description || "";
+      return {
+        _id: lesson._id,
+        title: lesson.title,
+        creator: lesson.creator,
+        category: lesson.category,
+        emotionalTone: lesson.emotionalTone,
+        image: lesson.image,
+        accessLevel: lesson.accessLevel,
+        visibility: lesson.visibility,
+        createdAt: lesson.createdAt,
+        description:
+          description.length > previewLength
+            ? `${description.slice(0, previewLength)}...`
+            : description,
+        locked: true,
+      };
+    };
+    const presentLessons = (lessons, viewer) =>
+      lessons.map((lesson) => presentLesson(lesson, viewer));
+
+    // what anyone may see in public listings, lessons from before the
+    // status field existed count as published
+    const notDeleted = { deletedAt: { $exists: false } };
+    const publicLessonQuery = (query = {}) => ({
+      ...query,
+      ...notDeleted,
+      visibility: "public",
+      hidden: { $ne: true },
+      $nor: [
+        { status: "draft" },
+        { status: "scheduled", publishAt: { $gt: new Date() } },
+      ],
+    });
+    const isUnpublished = (lesson) =>
+      lesson.status === "draft" ||
+      (lesson.status === "scheduled" && !(lesson.publishAt <= new Date()));
+    // private, hidden and unpublished lessons are only for their creator
+    // and admins
+    const canViewLesson = (lesson, viewer) =>
+      (lesson.visibility !== "private" &&
+        !lesson.hidden &&
+        !isUnpublished(lesson)) ||
+      viewer.isAdmin ||
+      (!!viewer.email && lesson.creator?.email === viewer.email);
+
+    // a scheduled lesson needs a publishAt in the future, a published one
+    // records when it went out. publishAt is only checked when the update
+    // sets it or schedules the lesson, so a due lesson the publisher hasn't
+    // reached yet stays editable.
+    const applyLessonStatus = (update, lesson = {}) => {
+      const status = update.status || lesson.status;
+      const scheduling =
+        update.publishAt !== undefined ||
+        (update.status === "scheduled" && lesson.status !== "scheduled");
+      if (status === "scheduled" && scheduling) {
+        const publishAt = update.publishAt || lesson.publishAt;
+        if (!publishAt || publishAt <= new Date()) {
+          return [
+            { field: "publishAt", message: "must be a date in the future" },
+          ];
+        }
+      }
+      if (status === "published" && !lesson.publishedAt) {
+        update.publishedAt = new Date();
+      }
+      return [];
+    };
+
+    // lesson and profile policies
+    const lessonFieldPolicy = {
+      user: [
+        "title",
+        "description",
+        "category",
+        "emotionalTone",
+        "image",
+        "visibility",
+        "accessLevel",
+        "status",
+        "publishAt",
+      ],
+    };
+    lessonFieldPolicy.admin = [...lessonFieldPolicy.user, "featured"];
+    const userFieldPolicy = {
+      user: ["name", "photoURL", "bio"],
+    };
+    // isPremium belongs to the payment flow, admins grant or revoke premium
+    // through premiumOverride, null hands it back to the payments
+    userFieldPolicy.admin = [
+      ...userFieldPolicy.user,
+      "role",
+      "premiumOverride",
+    ];
+    const userRoles = ["user", "admin"];
+
+    // what a caller sees of a user document. The user themself and admins
+    // get all of it, everyone else the public profile. Emails stay public,
+    // lessons and follows already address users by them.
+    const publicUserFields = [
+      "_id",
+      "name",
+      "email",
+      "photoURL",
+      "bio",
+      "create_at",
+      "followerCount",
+      "followingCount",
+    ];
+    const presentUser = (user, viewer) => {
+      if (!user || viewer.isAdmin || user.email === viewer.email) return user;
+      return Object.fromEntries(
+        publicUserFields
+          .filter((field) => user[field] !== undefined)
+          .map((field) => [field, user[field]])
+      );
+    };
+    const presentUsers = (users, viewer) =>
+      users.map((user) => presentUser(user, viewer));
+
+    // account restrictions
+    // a suspension lifts by itself once suspendedUntil has passed
+    const restrictionOf = (user) => {
+      if (user?.status === "banned") {
+        return {
+          message: "This account has been banned",
+          code: "ACCOUNT_BANNED",
+          reason: user.statusReason || null,
+        };
+      }
+      if (user?.status === "suspended" && user.suspendedUntil > new Date()) {
+        return {
+          message: "This account is suspended",
+          code: "ACCOUNT_SUSPENDED",
+          reason: user.statusReason || null,
+          suspendedUntil: user.suspendedUntil,
+        };
+      }
+      return null;
+    };
+    accountRestriction = async (email) =>
+      restrictionOf(
+        await userCollection.findOne(
+          { email: email },
+          { projection: { status: 1, statusReason: 1, suspendedUntil: 1 } }
+        )
+      );
+
+    // splits a request body into what this role may set and what it may not
+    const pickAllowedFields = (body, allowed) => {
+      const update = {};
+      const rejected = [];
+      Object.keys(body || {}).forEach((field) => {
+        if (field === "_id") return;
+        if (allowed.includes(field)) {
+          update[field] = body[field];
+        } else {
+          rejected.push(field);
+        }
+      });
+      return { update, rejected };
+    };
+    const sendRejectedFields = (res, rejected) =>
+      res.status(403).json({
+        message: "You are not allowed to change these fields",
+        fields: rejected,
+      });
+
+    // "view" hides private lessons from everyone but the creator and admins,
+    // "owner" only lets the creator and admins through and "trash" does the
+    // same for deleted lessons
+    const authorizeLesson = (access) => async (req, res, next) => {
       try {
-        const lesson = req.body;
-        const result = await lessonsCollection.insertOne(lesson);
-        res.status(200).json({
-          message: "Lesson created",
-          result,
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "Lesson not found" });
+        }
+        const lesson = await lessonsCollection.findOne({
+          _id: new ObjectId(id),
         });
+        // trashed lessons are only reachable through "trash"
+        if (!lesson || !!lesson.deletedAt !== (access === "trash")) {
+          return res.status(404).json({ message: "Lesson not found" });
+        }
+        const viewer = await getViewer(req);
+        const isOwner =
+          !!viewer.email && lesson.creator?.email === viewer.email;
+        if (
+          (access === "owner" || access === "trash") &&
+          !isOwner &&
+          !viewer.isAdmin
+        ) {
+          return res.status(403).json({
+            message: "Only the creator or an admin can change this lesson",
+          });
+        }
+        if (access === "view" && !canViewLesson(lesson, viewer)) {
+          return res.status(404).json({ message: "Lesson not found" });
+        }
+        req.lesson = lesson;
+        req.viewer = viewer;
+        next();
       } catch (error) {
-        res.status(400).json({
-          message: "Can't create lesson to database",
+        res.status(500).json({
+          message: "Can't check lesson access",
           error: error.message,
         });
       }
-    });
-    app.get("/public-lessons", async (req, res) => {
-      try {
-        const {
-          limit = 6,
-          skip = 0,
-          category,
-          visibility,
-          search,
-          emotionalTone,
-        } = req.query;
+    };
 
-        const query = {
-          visibility: "public",
-        };
+    // notifications
+    // open server-sent event responses by recipient email
+    const notificationStreams = new Map();
+    const pushNotification = (email, notification) => {
+      const streams = notificationStreams.get(email);
+      if (!streams) return;
+      const message = `event: notification\ndata: ${JSON.stringify(
+        notification
+      )}\n\n`;
+      streams.forEach((stream) => stream.write(message));
+    };
 
-        if (category) {
-          query.category = category;
+    // likes on one lesson pile up in one unread notification, a unique
+    // index on the unread groupKey keeps concurrent likes in the same one
+    const groupedNotificationTypes = ["like"];
+    const latestActors = 3;
+
+    // never throws, a failed notification shouldn't fail the action behind it
+    const notify = async ({ type, lesson, actorEmail }) => {
+      try {
+        const recipientEmail = lesson.creator?.email;
+        if (!recipientEmail || recipientEmail === actorEmail) return;
+        const user = await userCollection.findOne({ email: actorEmail });
+        const actor = {
+          email: actorEmail,
+          name: user?.name,
+          photoURL: user?.photoURL,
+        };
+        const now = new Date();
+        let notification = null;
+        if (groupedNotificationTypes.includes(type)) {
+          const group = {
+            recipientEmail: recipientEmail,
+            groupKey: `${type}:${lesson._id}`,
+            read: false,
+          };
+          // the upsert only misses the index when the group already counts
+          // this actor (liking again after an unlike doesn't count twice) or
+          // when a concurrent like created the group first, so try once more
+          for (let attempt = 0; !notification && attempt < 2; attempt++) {
+            try {
+              notification = await notificationsCollection.findOneAndUpdate(
+                { ...group, actorEmails: { $ne: actorEmail } },
+                {
+                  $setOnInsert: {
+                    type: type,
+                    lessonId: lesson._id,
+                    lessonTitle: lesson.title,
+                    createdAt: now,
+                  },
+                  $push: {
+                    actors: {
+                      $each: [actor],
+                      $position: 0,
+                      $slice: latestActors,
+                    },
+                  },
+                  $addToSet: { actorEmails: actorEmail },
+                  $inc: { actorCount: 1 },
+                  $set: { updatedAt: now },
+                },
+                { upsert: true, returnDocument: "after" }
+              );
+            } catch (error) {
+              if (error.code !== 11000) throw error;
+            }
+          }
+          if (!notification) return;
+        }
+        if (!notification) {
+          notification = {
+            recipientEmail: recipientEmail,
+            type: type,
+            lessonId: lesson._id,
+            lessonTitle: lesson.title,
+            actors: [actor],
+            actorEmails: [actorEmail],
+            actorCount: 1,
+            read: false,
+            createdAt: now,
+            updatedAt: now,
+          };
+          const result = await notificationsCollection.insertOne(notification);
+          notification._id = result.insertedId;
         }
+        pushNotification(recipientEmail, notification);
+      } catch (error) {
+        console.error("Failed to notify", error);
+      }
+    };
 
-        if (visibility) {
-          query.visibility = visibility;
+    // rankings
+    // every interaction bumps a counter on the lesson and leaves a weighted
+    // activity entry that the trending list decays over time
+    const activityWeights = { view: 1, like: 3, favorite: 4, comment: 5 };
+    const reactionCounters = {
+      likes: { counter: "likeCount", type: "like" },
+      favorites: { counter: "favoriteCount", type: "favorite" },
+    };
+
+    const recordActivity = (lessonId, type, email, targetId = null) =>
+      lessonActivityCollection.insertOne({
+        lessonId: lessonId,
+        type: type,
+        email: email,
+        targetId: targetId,
+        weight: activityWeights[type],
+        createdAt: new Date(),
+      });
+    const removeActivity = (lessonId, type, email, targetId = null) =>
+      lessonActivityCollection.deleteOne({
+        lessonId: lessonId,
+        type: type,
+        email: email,
+        ...(targetId && { targetId: targetId }),
+      });
+
+    // creator analytics
+    // lessonStats holds one bucket per lesson per utc day with that day's net
+    // views, likes, favorites and comments. lessonViews only remembers who
+    // viewed a lesson today, so each viewer counts once per lesson per day.
+    const statsDay = (date = new Date()) => {
+      const day = new Date(date);
+      day.setUTCHours(0, 0, 0, 0);
+      return day;
+    };
+    const bumpLessonStat = (lesson, field, amount = 1) =>
+      lessonStatsCollection.updateOne(
+        { lessonId: lesson._id, day: statsDay() },
+        {
+          $inc: { [field]: amount },
+          $setOnInsert: { creatorEmail: lesson.creator.email },
+        },
+        { upsert: true }
+      );
+    const recordView = async (lesson, email) => {
+      try {
+        const result = await lessonViewsCollection.updateOne(
+          { lessonId: lesson._id, viewerEmail: email, day: statsDay() },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+        if (!result.upsertedCount) return false;
+      } catch (error) {
+        // two first views racing, the other one already counted it
+        if (error.code === 11000) return false;
+        throw error;
+      }
+      await lessonsCollection.updateOne(
+        { _id: lesson._id },
+        { $inc: { viewCount: 1 } }
+      );
+      await recordActivity(lesson._id, "view", email);
+      await bumpLessonStat(lesson, "views");
+      return true;
+    };
+
+    // the array filter on each update keeps the counter in step with the
+    // array even when two toggles race
+    const toggleLessonReaction = async (lesson, field, email) => {
+      const { counter, type } = reactionCounters[field];
+      const removed = await lessonsCollection.updateOne(
+        { _id: lesson._id, [field]: email },
+        { $pull: { [field]: email }, $inc: { [counter]: -1 } }
+      );
+      if (removed.modifiedCount) {
+        await removeActivity(lesson._id, type, email);
+        await bumpLessonStat(lesson, field, -1);
+        return { active: false, result: removed };
+      }
+      const added = await lessonsCollection.updateOne(
+        { _id: lesson._id, [field]: { $ne: email } },
+        { $push: { [field]: email }, $inc: { [counter]: 1 } }
+      );
+      if (added.modifiedCount) {
+        await recordActivity(lesson._id, type, email);
+        await bumpLessonStat(lesson, field);
+      }
+      return { active: true, result: added };
+    };
+
+    // Lessons apis
+    const newLesson = (fields, email, user) => ({
+      ...fields,
+      creator: {
+        email: email,
+        name: user?.name,
+        photoURL: user?.photoURL,
+      },
+      likeCount: 0,
+      favoriteCount: 0,
+      commentCount: 0,
+      viewCount: 0,
+      createdAt: new Date(),
+    });
+    app.post(
+      "/lessons",
+      verifyJWT,
+      validateBody(lessonSchema),
+      async (req, res) => {
+        try {
+          // lessons are featured by admins through /lessons/:id/featured
+          delete req.body.featured;
+          const errors = applyLessonStatus(req.body);
+          if (errors.length) {
+            return sendValidationErrors(res, errors);
+          }
+          const user = await userCollection.findOne({ email: req.tokenEmail });
+          const lesson = newLesson(req.body, req.tokenEmail, user);
+          const result = await lessonsCollection.insertOne(lesson);
+          res.status(200).json({
+            message: "Lesson created",
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't create lesson to database",
+            error: error.message,
+          });
         }
-        if (emotionalTone) {
-          query.emotionalTone = emotionalTone;
+      }
+    );
+    const lessonFacets = ["category", "emotionalTone", "accessLevel"];
+    app.get("/public-lessons", optionalJWT, async (req, res) => {
+      try {
+        const { search } = req.query;
+        const list = readListQuery(
+          req.query,
+          { ...sortPresets, relevance: { score: -1, createdAt: -1, _id: -1 } },
+          search ? "relevance" : "newest",
+          6
+        );
+        if (list.error || (list.sort.score && !search)) {
+          return sendListError(res, {
+            error: list.error || "sort relevance needs a search",
+          });
         }
 
+        const baseQuery = publicLessonQuery();
         if (search) {
-          query.title = { $regex: search, $options: "i" };
+          // needs the lesson_text index from setupValidators.js
+          baseQuery.$text = { $search: search };
         }
+        const filters = {};
+        lessonFacets.forEach((field) => {
+          if (req.query[field]) filters[field] = req.query[field];
+        });
+        // each facet ignores its own filter so the client can show how many
+        // lessons every other option would give
+        const facetFilter = (field) => {
+          const { [field]: ignored, ...others } = filters;
+          return others;
+        };
 
-        const total = await lessonsCollection.countDocuments(query);
-
-        const result = await lessonsCollection
-          .find(query)
-          .sort({ createdAt: -1 })
-          .skip(Number(skip))
-          .limit(Number(limit))
+        const [data] = await lessonsCollection
+          .aggregate([
+            { $match: baseQuery },
+            ...(search
+              ? [{ $addFields: { score: { $meta: "textScore" } } }]
+              : []),
+            {
+              $facet: {
+                result: [
+                  { $match: withCursor(filters, list) },
+                  { $sort: list.sort },
+                  { $limit: list.limit + 1 },
+                ],
+                total: [{ $match: filters }, { $count: "count" }],
+                ...Object.fromEntries(
+                  lessonFacets.map((field) => [
+                    field,
+                    [
+                      { $match: facetFilter(field) },
+                      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+                      { $project: { _id: 0, value: "$_id", count: 1 } },
+                      { $sort: { count: -1 } },
+                    ],
+                  ])
+                ),
+              },
+            },
+          ])
           .toArray();
 
-        res.status(200).json({
-          total,
-          result,
-        });
+        const viewer = await getViewer(req);
+        const terms = search ? searchTerms(search) : [];
+        const { page, ...pagination } = pageOf(data.result, list);
+        const result = presentLessons(page, viewer).map((lesson) =>
+          search
+            ? {
+                ...lesson,
+                highlights: {
+                  title: highlightSnippet(lesson.title, terms, 120),
+                  description: highlightSnippet(lesson.description, terms),
+                },
+              }
+            : lesson
+        );
+        res.status(200).json(
+          listResponse("Public lessons", result, pagination, {
+            total: data.total[0]?.count || 0,
+            facets: Object.fromEntries(
+              lessonFacets.map((field) => [field, data[field]])
+            ),
+          })
+        );
       } catch (error) {
         res.status(500).json({
           message: "Can't get lessons",
@@ -150,7 +1227,13 @@ async function run() {
           favorites,
           reports,
         } = req.query;
-        const query = {};
+        const list = readListQuery(req.query, sortPresets, "newest");
+        if (list.error) return sendListError(res, list);
+        const viewer = await getViewer(req);
+        if (reports && !viewer.isAdmin) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
+        let query = { ...notDeleted };
         if (favorites === "true") {
           query.favorites = req.tokenEmail;
         }
@@ -168,16 +1251,31 @@ async function run() {
           query.category = category;
         }
         if (reports) {
-          query.reports = { $exists: true, $not: { $size: 0 } }; // it can also done by {$ne:[]}
+          query._id = {
+            $in: await reportsCollection.distinct("lessonId", {
+              status: "open",
+            }),
+          };
         }
-        const result = await lessonsCollection
-          .find(query)
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.status(200).json({
-          message: "All lessons",
-          result,
-        });
+        // other people's private, hidden and unpublished lessons stay out
+        // unless an admin is asking
+        if (!viewer.isAdmin && email !== req.tokenEmail) {
+          query = publicLessonQuery(query);
+        }
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        res
+          .status(200)
+          .json(
+            listResponse(
+              "All lessons",
+              presentLessons(page, viewer),
+              pagination
+            )
+          );
       } catch (error) {
         res.status(400).json({
           message: "Can't get lesson to database",
@@ -185,451 +1283,3252 @@ async function run() {
         });
       }
     });
-    app.get("/lessons/featured", async (req, res) => {
+    app.get("/lessons/drafts", verifyJWT, async (req, res) => {
+      try {
+        const list = readListQuery(req.query, sortPresets, "newest");
+        if (list.error) return sendListError(res, list);
+        const statuses = req.query.status
+          ? [req.query.status]
+          : ["draft", "scheduled"];
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          {
+            ...notDeleted,
+            "creator.email": req.tokenEmail,
+            status: { $in: statuses },
+          },
+          list
+        );
+        res.status(200).json(listResponse("My drafts", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get drafts",
+          error: error.message,
+        });
+      }
+    });
+    // export and import api
+    const exportFields = [
+      "_id",
+      "externalId",
+      "title",
+      "description",
+      "category",
+      "emotionalTone",
+      "visibility",
+      "accessLevel",
+      "status",
+      "publishAt",
+      "tags",
+      "image",
+      "creator.email",
+      "createdAt",
+    ];
+    const exportLimit = 5000;
+    const importLimit = 1000;
+    const slugify = (text) =>
+      (text || "lesson")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60);
+
+    app.get("/lessons/export", verifyJWT, async (req, res) => {
       try {
-        const query = { featured: true };
-        const result = await lessonsCollection
+        const format = req.query.format || "json";
+        if (!["json", "markdown", "csv"].includes(format)) {
+          return res
+            .status(400)
+            .json({ message: "format must be one of json, markdown, csv" });
+        }
+        const viewer = await getViewer(req);
+        const query = { ...notDeleted };
+        // admins export everything unless they ask for one creator
+        if (!viewer.isAdmin) {
+          query["creator.email"] = req.tokenEmail;
+        } else if (req.query.email) {
+          query["creator.email"] = req.query.email;
+        }
+        const lessons = await lessonsCollection
           .find(query)
-          .sort({ createdAt: -1 })
-          .limit(6)
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(exportLimit)
           .toArray();
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === "csv") {
+          const rows = lessons.map((lesson) => ({
+            ...lesson,
+            tags: lesson.tags?.join("|"),
+          }));
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="lessons-${stamp}.csv"`
+          );
+          return res.send(toCsv(exportFields, rows));
+        }
+        if (format === "markdown") {
+          const zip = new JSZip();
+          lessons.forEach((lesson) => {
+            const meta = Object.fromEntries(
+              exportFields
+                .filter((field) => field !== "description")
+                .map((field) => [field, fieldValue(lesson, field)])
+            );
+            zip.file(
+              `${slugify(lesson.title)}-${lesson._id}.md`,
+              toMarkdown(meta, lesson.description)
+            );
+          });
+          const buffer = await zip.generateAsync({ type: "nodebuffer" });
+          res.setHeader("Content-Type", "application/zip");
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="lessons-${stamp}.zip"`
+          );
+          return res.send(buffer);
+        }
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="lessons-${stamp}.json"`
+        );
         res.status(200).json({
-          message: "Featured lessons",
-          result,
+          exportedAt: new Date(),
+          count: lessons.length,
+          lessons: lessons.map((lesson) =>
+            Object.fromEntries(
+              exportFields.map((field) => [field, fieldValue(lesson, field)])
+            )
+          ),
         });
       } catch (error) {
-        res.status(400).json({
-          message: "Can't get Featured lesson to database",
+        res.status(500).json({
+          message: "Can't export lessons",
           error: error.message,
         });
       }
     });
-    app.get("/lessons/most-favorites", async (req, res) => {
+
+    // every format becomes a list of plain records shaped like the export,
+    // a markdown body becomes the description
+    const readImportRecords = async (req, format) => {
+      if (format === "json") {
+        const body = req.body;
+        const records = Array.isArray(body) ? body : body?.lessons;
+        return Array.isArray(records) ? records : [];
+      }
+      if (format === "csv") {
+        return parseCsv(String(req.body || "")).map((row) => ({
+          ...row,
+          tags: row.tags ? row.tags.split("|") : undefined,
+        }));
+      }
+      const files = [];
+      if (Buffer.isBuffer(req.body)) {
+        const zip = await JSZip.loadAsync(req.body);
+        for (const file of Object.values(zip.files)) {
+          if (!file.dir && file.name.endsWith(".md")) {
+            files.push(await file.async("string"));
+          }
+        }
+      } else {
+        files.push(String(req.body || ""));
+      }
+      return files.map((text) => {
+        const { body, ...meta } = parseMarkdown(text);
+        return { ...meta, description: body };
+      });
+    };
+    const importFormats = {
+      "application/json": "json",
+      "text/csv": "csv",
+      "text/markdown": "markdown",
+      "application/zip": "markdown",
+    };
+
+    app.post(
+      "/lessons/import",
+      verifyJWT,
+      verifyAdmin,
+      express.json({ limit: "5mb" }),
+      express.text({ type: ["text/csv", "text/markdown"], limit: "5mb" }),
+      express.raw({ type: "application/zip", limit: "20mb" }),
+      async (req, res) => {
+        try {
+          const format =
+            req.query.format ||
+            importFormats[(req.headers["content-type"] || "").split(";")[0]];
+          if (!["json", "markdown", "csv"].includes(format)) {
+            return res
+              .status(400)
+              .json({ message: "format must be one of json, markdown, csv" });
+          }
+          const dryRun = req.query.dryRun === "true";
+          const upsert = req.query.upsert === "true";
+          const records = await readImportRecords(req, format);
+          if (records.length > importLimit) {
+            return res.status(413).json({
+              message: `Import at most ${importLimit} lessons at a time`,
+            });
+          }
+
+          const creators = new Map();
+          const findCreator = async (email) => {
+            if (!creators.has(email)) {
+              creators.set(email, await userCollection.findOne({ email }));
+            }
+            return creators.get(email);
+          };
+          const summary = { inserted: 0, updated: 0, failed: 0 };
+          const rowErrors = [];
+          for (const [index, record] of records.entries()) {
+            if (
+              typeof record !== "object" ||
+              record === null ||
+              Array.isArray(record)
+            ) {
+              summary.failed++;
+              rowErrors.push({
+                row: index + 1,
+                externalId: null,
+                errors: [{ field: "record", message: "must be an object" }],
+              });
+              continue;
+            }
+            const externalId = record.externalId
+              ? String(record.externalId)
+              : null;
+            const existing = externalId
+              ? await lessonsCollection.findOne({
+                  externalId: externalId,
+                  ...notDeleted,
+                })
+              : null;
+            // an update only touches the columns the record has, defaults
+            // are for new lessons
+            const { value, errors } = validate(lessonSchema, record, {
+              partial: !!existing,
+            });
+            errors.push(...applyLessonStatus(value, existing || undefined));
+            const creatorEmail =
+              record.creatorEmail || record["creator.email"] || req.tokenEmail;
+            const creator = await findCreator(creatorEmail);
+            if (!creator) {
+              errors.push({
+                field: "creator.email",
+                message: "is not a registered user",
+              });
+            }
+            if (existing && !upsert) {
+              errors.push({
+                field: "externalId",
+                message: "already exists, import with upsert=true to update",
+              });
+            }
+            if (errors.length) {
+              summary.failed++;
+              rowErrors.push({ row: index + 1, externalId, errors });
+              continue;
+            }
+            if (existing) {
+              if (!dryRun) {
+                await saveLessonChanges(existing, value, req.tokenEmail);
+              }
+              summary.updated++;
+            } else {
+              if (!dryRun) {
+                await lessonsCollection.insertOne({
+                  ...newLesson(value, creatorEmail, creator),
+                  ...(externalId && { externalId }),
+                });
+              }
+              summary.inserted++;
+            }
+          }
+          if (!dryRun && (summary.inserted || summary.updated)) {
+            await audit(req, {
+              action: "lesson.import",
+              targetType: "lesson",
+              targetId: null,
+              after: { format, upsert, ...summary },
+            });
+          }
+          res.status(200).json({
+            message: dryRun ? "Import checked" : "Import finished",
+            dryRun,
+            total: records.length,
+            ...summary,
+            errors: rowErrors,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't import lessons",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    // syndication feeds
+    const feedFormats = {
+      rss: "application/rss+xml; charset=utf-8",
+      atom: "application/atom+xml; charset=utf-8",
+      json: "application/feed+json; charset=utf-8",
+    };
+    const feedSize = 20;
+    const anonymousViewer = { email: null, isAdmin: false, isPremium: false };
+    const lessonUrl = (lesson) =>
+      `${process.env.CLIENT_URL}/lessons/${lesson._id}`;
+    const lessonModified = (lesson) =>
+      new Date(lesson.updatedAt || lesson.publishedAt || lesson.createdAt);
+
+    const rssFeed = (feed, lessons) =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        "<channel>",
+        `<title>${escapeHtml(feed.title)}</title>`,
+        `<link>${escapeHtml(feed.homeUrl)}</link>`,
+        `<description>${escapeHtml(feed.description)}</description>`,
+        `<atom:link href="${escapeHtml(
+          feed.selfUrl
+        )}" rel="self" type="application/rss+xml"/>`,
+        `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        ...lessons.map((lesson) =>
+          [
+            "<item>",
+            `<title>${escapeHtml(lesson.title || "")}</title>`,
+            `<link>${escapeHtml(lessonUrl(lesson))}</link>`,
+            `<guid isPermaLink="false">${lesson._id}</guid>`,
+            `<pubDate>${new Date(lesson.createdAt).toUTCString()}</pubDate>`,
+            lesson.creator?.email
+              ? `<author>${escapeHtml(
+                  `${lesson.creator.email} (${lesson.creator.name || ""})`
+                )}</author>`
+              : "",
+            lesson.category
+              ? `<category>${escapeHtml(lesson.category)}</category>`
+              : "",
+            `<description>${escapeHtml(
+              lesson.description || ""
+            )}</description>`,
+            "</item>",
+          ].join("")
+        ),
+        "</channel>",
+        "</rss>",
+      ].join("\n");
+
+    const atomFeed = (feed, lessons) =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeHtml(feed.title)}</title>`,
+        `<subtitle>${escapeHtml(feed.description)}</subtitle>`,
+        `<id>${escapeHtml(feed.selfUrl)}</id>`,
+        `<link rel="self" href="${escapeHtml(feed.selfUrl)}"/>`,
+        `<link href="${escapeHtml(feed.homeUrl)}"/>`,
+        `<updated>${feed.updated.toISOString()}</updated>`,
+        ...lessons.map((lesson) =>
+          [
+            "<entry>",
+            `<title>${escapeHtml(lesson.title || "")}</title>`,
+            `<id>urn:lesson:${lesson._id}</id>`,
+            `<link href="${escapeHtml(lessonUrl(lesson))}"/>`,
+            `<published>${new Date(
+              lesson.createdAt
+            ).toISOString()}</published>`,
+            `<updated>${lessonModified(lesson).toISOString()}</updated>`,
+            `<author><name>${escapeHtml(
+              lesson.creator?.name || lesson.creator?.email || "Unknown"
+            )}</name></author>`,
+            lesson.category
+              ? `<category term="${escapeHtml(lesson.category)}"/>`
+              : "",
+            `<summary>${escapeHtml(lesson.description || "")}</summary>`,
+            "</entry>",
+          ].join("")
+        ),
+        "</feed>",
+      ].join("\n");
+
+    const jsonFeed = (feed, lessons) =>
+      JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.selfUrl,
+        items: lessons.map((lesson) => ({
+          id: lesson._id.toString(),
+          url: lessonUrl(lesson),
+          title: lesson.title,
+          content_text: lesson.description || "",
+          date_published: new Date(lesson.createdAt).toISOString(),
+          date_modified: lessonModified(lesson).toISOString(),
+          authors: [{ name: lesson.creator?.name || lesson.creator?.email }],
+          tags: [lesson.category, lesson.emotionalTone].filter(Boolean),
+          ...(lesson.locked && { _lesson: { locked: true } }),
+        })),
+      });
+    const feedBuilders = { rss: rssFeed, atom: atomFeed, json: jsonFeed };
+
+    // the filter param picks which public lessons go into the feed
+    const serveFeed = (filterName, field) => async (req, res) => {
       try {
+        const format = req.params.format;
+        if (!feedFormats[format]) {
+          return res
+            .status(404)
+            .json({ message: "Feed format must be rss, atom or json" });
+        }
+        const value = filterName ? req.params[filterName] : null;
+        const query = publicLessonQuery(field ? { [field]: value } : {});
         const lessons = await lessonsCollection
-          .find({ visibility: "public" })
-          .sort({ "favorites.length": -1 })
-          .limit(6)
+          .find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(feedSize)
           .toArray();
 
-        res.status(200).json({ result: lessons });
+        const updated = lessons.reduce(
+          (latest, lesson) =>
+            lessonModified(lesson) > latest ? lessonModified(lesson) : latest,
+          new Date(0)
+        );
+        // cheap to work out, so unchanged feeds skip building the body
+        const etag = `W/"${crypto
+          .createHash("sha1")
+          .update(
+            [
+              format,
+              req.originalUrl,
+              ...lessons.map(
+                (lesson) => `${lesson._id}:${lessonModified(lesson).getTime()}`
+              ),
+            ].join("|")
+          )
+          .digest("base64url")}"`;
+        res.setHeader("ETag", etag);
+        res.setHeader("Last-Modified", updated.toUTCString());
+        res.setHeader("Cache-Control", "public, max-age=300");
+        if (req.fresh) {
+          return res.status(304).end();
+        }
+
+        const title = value
+          ? `Digital Life Lessons – ${value}`
+          : "Digital Life Lessons";
+        const feed = {
+          title,
+          description: value
+            ? `Latest public lessons for ${value}`
+            : "Latest public lessons",
+          homeUrl: process.env.CLIENT_URL,
+          selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+          updated,
+        };
+        // premium lessons only go out as their preview
+        const items = presentLessons(lessons, anonymousViewer);
+        res.setHeader("Content-Type", feedFormats[format]);
+        res.status(200).send(feedBuilders[format](feed, items));
       } catch (error) {
         res.status(500).json({
-          message: "Failed to fetch most favorite lessons",
+          message: "Can't build feed",
           error: error.message,
         });
       }
-    });
-    app.get("/users/top-contributors", async (req, res) => {
+    };
+    app.get("/feeds/:format", serveFeed());
+    app.get(
+      "/feeds/category/:category/:format",
+      serveFeed("category", "category")
+    );
+    app.get(
+      "/feeds/tone/:emotionalTone/:format",
+      serveFeed("emotionalTone", "emotionalTone")
+    );
+    app.get(
+      "/feeds/creator/:email/:format",
+      serveFeed("email", "creator.email")
+    );
+
+    // trash api
+    const trashSorts = { newest: { deletedAt: -1, _id: -1 } };
+    const trashList = (mine) => async (req, res) => {
       try {
-        const result = await lessonsCollection
-          .aggregate([
-            {
-              $group: {
-                _id: "$creator.email",
-                name: { $first: "$creator.name" },
-                photoURL: { $first: "$creator.photoURL" },
-                totalLessons: { $sum: 1 },
-              },
-            },
-            { $sort: { totalLessons: -1 } },
-            { $limit: 6 },
-          ])
-          .toArray();
-        res.status(200).json({ message: "top contributors", result });
+        const list = readListQuery(req.query, trashSorts, "newest");
+        if (list.error) return sendListError(res, list);
+        const query = { deletedAt: { $exists: true } };
+        if (mine) {
+          query["creator.email"] = req.tokenEmail;
+        }
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        res.status(200).json(
+          listResponse("Trash", page, pagination, {
+            retentionDays: trashRetentionDays,
+          })
+        );
       } catch (error) {
         res.status(500).json({
-          message: "Failed to fetch top contributors",
-          error: error.message,
-        });
-      }
-    });
-    app.get("/lessons/:id", verifyJWT, async (req, res) => {
-      try {
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const result = await lessonsCollection.findOne(query);
-        res.status(200).json({
-          message: "Get the lesson",
-          result,
-        });
-      } catch (error) {
-        res.status(400).json({
-          message: "Can't get any lesson to database",
+          message: "Can't get trash",
           error: error.message,
         });
       }
-    });
-    app.patch(
-      "/lessons/:id/featured",
+    };
+    app.get("/lessons/trash", verifyJWT, trashList(true));
+    app.get("/admin/trash", verifyJWT, verifyAdmin, trashList(false));
+    app.post(
+      "/lessons/:id/restore",
       verifyJWT,
-      verifyAdmin,
+      authorizeLesson("trash"),
       async (req, res) => {
         try {
-          const id = req.params.id;
-          const query = { _id: new ObjectId(id) };
-          const result = await lessonsCollection.updateOne(query, {
-            $set: req.body,
-          });
-          res.status(200).json({
-            message: "Featured add successfully",
-            result,
+          // a lesson an admin deleted, in moderation or otherwise, stays
+          // deleted until an admin restores it
+          if (
+            !req.viewer.isAdmin &&
+            req.lesson.deletedBy !== req.lesson.creator?.email
+          ) {
+            return res.status(403).json({
+              message: "Only an admin can restore a lesson an admin deleted",
+            });
+          }
+          const result = await lessonsCollection.updateOne(
+            { _id: req.lesson._id },
+            { $unset: { deletedAt: "", deletedBy: "" } }
+          );
+          await audit(req, {
+            action: "lesson.restore",
+            targetType: "lesson",
+            targetId: req.lesson._id,
+            before: pickFields(req.lesson, ["deletedAt", "deletedBy"]),
           });
+          res.status(200).json({ message: "Lesson restored", result });
         } catch (error) {
           res.status(400).json({
-            message: "Failed to add  Like",
+            message: "Can't restore lesson",
             error: error.message,
           });
         }
       }
     );
-    app.patch("/lesson/:id/likes", verifyJWT, async (req, res) => {
-      try {
-        const email = req.tokenEmail;
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const lesson = await lessonsCollection.findOne(query);
-
-        if (!lesson) {
-          return res.status(404).json({ message: "Lesson not found" });
-        }
-
-        let update = {};
-        if (lesson.likes?.includes(email)) {
-          update = { $pull: { likes: email } };
-        } else {
-          update = { $addToSet: { likes: email } };
-        }
-
-        const result = await lessonsCollection.updateOne(query, update);
-        res.status(200).json({
-          message: "Like add successfully",
-          result,
-        });
-      } catch (error) {
-        res.status(400).json({
-          message: "Failed to add  Like",
-          error: error.message,
-        });
-      }
-    });
-    app.patch("/lesson/:id/comments", verifyJWT, async (req, res) => {
-      try {
-        const email = req.tokenEmail;
-        const { comment, name } = req.body;
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-
-        const commentObj = {
-          name,
-          email,
-          comment,
-          createdAt: new Date(),
-        };
 
-        const result = await lessonsCollection.updateOne(query, {
-          $push: { comments: commentObj },
-        });
-
-        res.status(200).json({
-          message: "Comment added successfully",
-          result,
-        });
-      } catch (error) {
-        res
-          .status(400)
-          .json({ message: "Failed to add comment", error: error.message });
-      }
-    });
-    app.patch("/lesson/:id/favorites", verifyJWT, async (req, res) => {
+    app.get("/lessons/featured", optionalJWT, async (req, res) => {
       try {
-        const email = req.tokenEmail;
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const lesson = await lessonsCollection.findOne(query);
-        let update = {};
-
-        if (!lesson) {
-          return res.status(404).json({ message: "Lesson not found" });
-        }
-        if (lesson.favorites?.includes(email)) {
-          update = { $pull: { favorites: email } };
-        } else {
-          update = { $addToSet: { favorites: email } };
-        }
-
-        const result = await lessonsCollection.updateOne(query, update);
-
-        res.status(200).json({
-          message: "added favorite successfully",
-          result,
-        });
-      } catch (error) {
+        const list = readListQuery(req.query, sortPresets, "newest", 6);
+        if (list.error) return sendListError(res, list);
+        const query = publicLessonQuery({ featured: true });
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        const viewer = await getViewer(req);
         res
-          .status(400)
-          .json({ message: "Failed to add favorite", error: error.message });
-      }
-    });
-    app.patch("/report/:id", verifyJWT, async (req, res) => {
-      try {
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const update = {
-          $addToSet: { reports: req.body },
-        };
-        const result = await lessonsCollection.updateOne(query, update);
-
-        res.status(200).json({
-          message: "Report add to database",
-          result,
-        });
+          .status(200)
+          .json(
+            listResponse(
+              "Featured lessons",
+              presentLessons(page, viewer),
+              pagination
+            )
+          );
       } catch (error) {
         res.status(400).json({
-          message: "Can't store report to database",
+          message: "Can't get Featured lesson to database",
           error: error.message,
         });
       }
     });
-    app.delete("/lessons/:id", verifyJWT, async (req, res) => {
+    const rankingSorts = {
+      favorites: { favoriteCount: -1, _id: -1 },
+      likes: { likeCount: -1, _id: -1 },
+      comments: { commentCount: -1, _id: -1 },
+      views: { viewCount: -1, _id: -1 },
+    };
+    const rankedLessons = (sortName, message) => async (req, res) => {
       try {
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const result = await lessonsCollection.deleteOne(query);
-        res.status(200).json({
-          message: "Delete lessons",
-          result,
-        });
+        const list = readListQuery(
+          { ...req.query, sort: sortName },
+          rankingSorts,
+          sortName,
+          6
+        );
+        if (list.error) return sendListError(res, list);
+        const query = publicLessonQuery();
+        if (req.query.category) {
+          query.category = req.query.category;
+        }
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        const viewer = await getViewer(req);
+        res
+          .status(200)
+          .json(
+            listResponse(message, presentLessons(page, viewer), pagination)
+          );
       } catch (error) {
-        res.status(400).json({
-          message: "Can't store report to database",
+        res.status(500).json({
+          message: `Failed to fetch ${message.toLowerCase()}`,
           error: error.message,
         });
       }
-    });
-    app.patch("/lessons/:id", verifyJWT, async (req, res) => {
-      try {
-        const id = req.params.id;
-        const query = { _id: new ObjectId(id) };
-        const updateData = req.body;
-        delete updateData._id;
-
-        const result = await lessonsCollection.updateOne(query, {
-          $set: req.body,
-        });
-        console.log(result);
+    };
+    app.get(
+      "/lessons/most-favorites",
+      optionalJWT,
+      rankedLessons("favorites", "Most favorite lessons")
+    );
+    app.get(
+      "/lessons/most-liked",
+      optionalJWT,
+      rankedLessons("likes", "Most liked lessons")
+    );
 
-        res.status(200).json({
-          message: "Data Updated",
-          result,
-        });
-      } catch (error) {
-        res.status(400).json({
-          message: "Can't update data to database",
-          error: error.message,
-        });
-      }
-    });
-    app.get("/admin/overview", verifyJWT, verifyAdmin, async (req, res) => {
+    // each window halves an interaction's weight four times over its length
+    const trendingWindows = {
+      "24h": 24 * 60 * 60 * 1000,
+      "7d": 7 * 24 * 60 * 60 * 1000,
+      "30d": 30 * 24 * 60 * 60 * 1000,
+    };
+    const trendingSorts = {
+      trending: { rankedAt: -1, trendingScore: -1, _id: -1 },
+    };
+    app.get("/lessons/trending", optionalJWT, async (req, res) => {
       try {
-        const totalUser = await userCollection.countDocuments();
-        const totalPublicLessons = await lessonsCollection.countDocuments({
-          visibility: "public",
-        });
-        const totalReportedLessons = await lessonsCollection.countDocuments({
-          reports: { $exists: true, $ne: [] },
-        });
-        const now = new Date();
-        const startOfDay = new Date(now);
-        startOfDay.setUTCHours(0, 0, 0, 0);
-
-        const endOfDay = new Date(now);
-        endOfDay.setUTCHours(23, 59, 59, 999);
-
-        const todaysLessons = await lessonsCollection.countDocuments({
-          $expr: {
-            $and: [
-              {
-                $gte: [
-                  { $dateFromString: { dateString: "$createdAt" } },
-                  startOfDay,
-                ],
-              },
-              {
-                $lte: [
-                  { $dateFromString: { dateString: "$createdAt" } },
-                  endOfDay,
-                ],
-              },
-            ],
-          },
-        });
-        const endDate = new Date();
-        endDate.setUTCHours(23, 59, 59, 999);
-
-        const startDate = new Date();
-        startDate.setUTCDate(startDate.getUTCDate() - 6);
-        startDate.setUTCHours(0, 0, 0, 0);
-
-        const lessonsLast7Days = await lessonsCollection
+        const window = req.query.window || "7d";
+        const windowMs = trendingWindows[window];
+        if (!windowMs) {
+          return res.status(400).json({
+            message: `window must be one of ${Object.keys(trendingWindows).join(
+              ", "
+            )}`,
+          });
+        }
+        // scores decay with time, so every page ranks as of the time the
+        // first page did, which the cursor carries as rankedAt
+        const list = readListQuery(req.query, trendingSorts, "trending", 6);
+        if (list.error) return sendListError(res, list);
+        if (list.after && !(list.after[0] instanceof Date)) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        const now = list.after ? list.after[0] : new Date();
+        const halfLife = windowMs / 4;
+        const lessonQuery = publicLessonQuery();
+        if (req.query.category) {
+          lessonQuery.category = req.query.category;
+        }
+        const lessons = await lessonActivityCollection
           .aggregate([
             {
-              // convert string → Date
-              $addFields: {
-                createdAtDate: { $toDate: "$createdAt" },
-              },
-            },
-            {
-              // filter last 7 days
               $match: {
-                createdAtDate: {
-                  $gte: startDate,
-                  $lte: endDate,
-                },
+                createdAt: { $gte: new Date(now - windowMs), $lte: now },
               },
             },
             {
-              // group by day
               $group: {
-                _id: {
-                  $dateToString: {
-                    format: "%d-%b-%Y",
-                    date: "$createdAtDate",
-                    timezone: "UTC",
+                _id: "$lessonId",
+                trendingScore: {
+                  $sum: {
+                    $multiply: [
+                      "$weight",
+                      {
+                        $pow: [
+                          0.5,
+                          {
+                            $divide: [
+                              { $subtract: [now, "$createdAt"] },
+                              halfLife,
+                            ],
+                          },
+                        ],
+                      },
+                    ],
                   },
                 },
-                count: { $sum: 1 },
               },
             },
             {
-              // rename fields
-              $project: {
-                _id: 0,
-                date: "$_id",
-                count: 1,
+              $lookup: {
+                from: "lessons",
+                localField: "_id",
+                foreignField: "_id",
+                pipeline: [{ $match: lessonQuery }],
+                as: "lesson",
               },
             },
+            { $unwind: "$lesson" },
+            // rounded so the cursor's score matches however the sum was added
             {
-              // latest date first
-              $sort: { date: -1 },
-            },
-          ])
-          .toArray();
-        const users = await userCollection.countDocuments();
-        const lessons = await lessonsCollection.countDocuments();
-        const mostActiveContributors = await lessonsCollection
-          .aggregate([
-            {
-              $group: {
-                _id: "$creator.email",
-                lessonCount: { $sum: 1 },
+              $set: {
+                trendingScore: { $round: ["$trendingScore", 6] },
+                rankedAt: now,
               },
             },
-            { $sort: { lessonCount: -1 } },
+            { $match: withCursor({}, list) },
+            { $sort: list.sort },
+            { $limit: list.limit + 1 },
             {
-              $project: {
-                _id: 0,
-                email: "$_id",
-                lessonCount: 1,
+              $replaceRoot: {
+                newRoot: {
+                  $mergeObjects: [
+                    "$lesson",
+                    { trendingScore: "$trendingScore", rankedAt: "$rankedAt" },
+                  ],
+                },
               },
             },
           ])
           .toArray();
-
-        res.status(200).json({
-          message: "all statistic",
-          mostActiveContributors,
-          totalReportedLessons,
-          totalPublicLessons,
-          totalUser,
-          todaysLessons,
-          users,
-          lessons,
-          lessonsLast7Days,
-        });
+        const { page, ...pagination } = pageOf(lessons, list);
+        const viewer = await getViewer(req);
+        res.status(200).json(
+          listResponse(
+            "Trending lessons",
+            presentLessons(page, viewer),
+            pagination,
+            {
+              window,
+            }
+          )
+        );
       } catch (error) {
         res.status(500).json({
-          message: "Failed to load admin dashboard data",
+          message: "Failed to fetch trending lessons",
           error: error.message,
         });
       }
     });
-    app.get("/analytics/accessLevel", async (req, res) => {
+    app.get("/users/top-contributors", async (req, res) => {
       try {
-        const endDate = new Date();
-        endDate.setUTCHours(23, 59, 59, 999);
-
-        const startDate = new Date();
-        startDate.setUTCDate(startDate.getUTCDate() - 6);
-        startDate.setUTCHours(0, 0, 0, 0);
-
-        const data = await lessonsCollection
+        const list = readListQuery(
+          req.query,
+          { lessons: { totalLessons: -1, _id: 1 } },
+          "lessons",
+          6
+        );
+        if (list.error) return sendListError(res, list);
+        const contributors = await lessonsCollection
           .aggregate([
-            {
-              $match: {
-                createdAt: { $gte: startDate, $lte: endDate },
-                visibility: "public",
-              },
-            },
+            { $match: publicLessonQuery() },
             {
               $group: {
-                _id: "$accessLevel",
-                count: { $sum: 1 },
+                _id: "$creator.email",
+                name: { $first: "$creator.name" },
+                photoURL: { $first: "$creator.photoURL" },
+                totalLessons: { $sum: 1 },
               },
             },
+            { $match: withCursor({}, list) },
+            { $sort: list.sort },
+            { $limit: list.limit + 1 },
           ])
           .toArray();
-
-        // Make sure both free and premium exist
-        const result = ["free", "premium"].map((level) => {
-          const found = data.find((d) => d._id === level);
-          return { accessLevel: level, count: found ? found.count : 0 };
+        const { page, ...pagination } = pageOf(contributors, list);
+        res
+          .status(200)
+          .json(listResponse("top contributors", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Failed to fetch top contributors",
+          error: error.message,
         });
-
-        res.json(result);
-      } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "AccessLevel analytics failed" });
       }
     });
-
-    // Users api
-    app.post("/users", async (req, res) => {
-      try {
-        const user = req.body;
-        user.create_at = new Date();
-        user.role = "user";
-        const email = user.email;
-        const existingUser = await userCollection.findOne({ email: email });
-        if (existingUser) {
-          return res.status(200).json({
-            message: "User already exists",
-            user: existingUser,
+    app.get(
+      "/lessons/:id",
+      verifyJWT,
+      authorizeLesson("view"),
+      async (req, res) => {
+        try {
+          // the creator and admins looking at a lesson aren't its readers
+          if (
+            !req.viewer.isAdmin &&
+            req.lesson.creator?.email !== req.viewer.email
+          ) {
+            await recordView(req.lesson, req.tokenEmail);
+          }
+          res.status(200).json({
+            message: "Get the lesson",
+            result: presentLesson(req.lesson, req.viewer),
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't get any lesson to database",
+            error: error.message,
           });
         }
-        const result = await userCollection.insertOne(user);
-        res.status(201).json({
-          message: "Data is stored to database",
-          result,
-        });
-      } catch (error) {
-        res.status(400).json({
-          message: "Can't store users data to database",
-          error: error.message,
-        });
       }
-    });
-
-    app.get("/users", verifyJWT, async (req, res) => {
-      try {
-        let query = { email: { $ne: req.tokenEmail } };
-        const result = await userCollection
-          .find(query)
-          .sort({ create_at: -1 })
-          .toArray();
-        res.status(200).json({
-          message: "all users",
-          result,
-        });
+    );
+    app.patch(
+      "/lessons/:id/featured",
+      verifyJWT,
+      verifyAdmin,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const { update, rejected } = pickAllowedFields(req.body, [
+            "featured",
+          ]);
+          if (rejected.length) {
+            return sendRejectedFields(res, rejected);
+          }
+          const query = { _id: req.lesson._id };
+          const result = await lessonsCollection.updateOne(query, {
+            $set: { featured: !!update.featured },
+          });
+          await audit(req, {
+            action: "lesson.feature",
+            targetType: "lesson",
+            targetId: req.lesson._id,
+            before: { featured: req.lesson.featured || false },
+            after: { featured: !!update.featured },
+          });
+          if (update.featured && !req.lesson.featured) {
+            await notify({
+              type: "featured",
+              lesson: req.lesson,
+              actorEmail: req.tokenEmail,
+            });
+          }
+          res.status(200).json({
+            message: "Featured add successfully",
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to add  Like",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/lesson/:id/likes",
+      verifyJWT,
+      rateLimit("reaction"),
+      authorizeLesson("view"),
+      async (req, res) => {
+        try {
+          const { active, result } = await toggleLessonReaction(
+            req.lesson,
+            "likes",
+            req.tokenEmail
+          );
+          if (active && result.modifiedCount) {
+            await notify({
+              type: "like",
+              lesson: req.lesson,
+              actorEmail: req.tokenEmail,
+            });
+          }
+          res.status(200).json({
+            message: active ? "Like add successfully" : "Like removed",
+            liked: active,
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to add  Like",
+            error: error.message,
+          });
+        }
+      }
+    );
+    // comments api
+    const presentComment = (comment, viewer) => {
+      const { likes, edits, ...rest } = comment;
+      if (comment.deletedAt) {
+        // keep the place in the thread so replies still make sense
+        return {
+          _id: comment._id,
+          lessonId: comment.lessonId,
+          parentId: comment.parentId,
+          createdAt: comment.createdAt,
+          deletedAt: comment.deletedAt,
+          comment: null,
+          author: null,
+          deleted: true,
+          replyCount: comment.replyCount,
+        };
+      }
+      return {
+        ...rest,
+        edited: !!edits?.length,
+        liked: !!viewer.email && !!likes?.includes(viewer.email),
+      };
+    };
+
+    // the same text from the same author within the window is a repeat,
+    // whatever lesson it is posted on
+    const duplicateCommentWindow =
+      Number(process.env.DUPLICATE_COMMENT_WINDOW_MS) || 10 * 60 * 1000;
+    const normalizeComment = (text) =>
+      text.trim().replace(/\s+/g, " ").toLowerCase();
+    const isDuplicateComment = async (email, comment) => {
+      const recent = await commentsCollection
+        .find(
+          {
+            "author.email": email,
+            createdAt: { $gte: new Date(Date.now() - duplicateCommentWindow) },
+            deletedAt: { $exists: false },
+          },
+          { projection: { comment: 1 } }
+        )
+        .toArray();
+      const text = normalizeComment(comment);
+      return recent.some((item) => normalizeComment(item.comment) === text);
+    };
+
+    const createComment = async (req, res) => {
+      try {
+        const lesson = req.lesson;
+        const { comment, parentId } = req.body;
+        if (await isDuplicateComment(req.tokenEmail, comment)) {
+          return res.status(409).json({
+            message: "You already posted this comment, try something new",
+          });
+        }
+        let parent = null;
+        if (parentId) {
+          parent = await commentsCollection.findOne({
+            _id: new ObjectId(parentId),
+            lessonId: lesson._id,
+            deletedAt: { $exists: false },
+          });
+          if (!parent) {
+            return res.status(404).json({ message: "Comment not found" });
+          }
+        }
+        const user = await userCollection.findOne({ email: req.tokenEmail });
+        const commentObj = {
+          lessonId: lesson._id,
+          parentId: parent ? parent._id : null,
+          author: {
+            email: req.tokenEmail,
+            name: user?.name,
+            photoURL: user?.photoURL,
+          },
+          comment,
+          likes: [],
+          likeCount: 0,
+          edits: [],
+          createdAt: new Date(),
+        };
+        const result = await commentsCollection.insertOne(commentObj);
+        await lessonsCollection.updateOne(
+          { _id: lesson._id },
+          { $inc: { commentCount: 1 } }
+        );
+        await bumpLessonStat(lesson, "comments");
+        await recordActivity(
+          lesson._id,
+          "comment",
+          req.tokenEmail,
+          result.insertedId
+        );
+        await notify({
+          type: "comment",
+          lesson: lesson,
+          actorEmail: req.tokenEmail,
+        });
+        res.status(201).json({
+          message: "Comment added successfully",
+          result: { ...commentObj, _id: result.insertedId },
+        });
+      } catch (error) {
+        res
+          .status(400)
+          .json({ message: "Failed to add comment", error: error.message });
+      }
+    };
+
+    // loads the comment for the routes below, "author" limits it to the
+    // author, "moderate" lets admins through as well
+    const authorizeComment = (access) => async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+        const comment = await commentsCollection.findOne({
+          _id: new ObjectId(id),
+          deletedAt: { $exists: false },
+        });
+        if (!comment) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+        // a comment is only as reachable as its lesson
+        const lesson = await lessonsCollection.findOne({
+          _id: comment.lessonId,
+          ...notDeleted,
+        });
+        const viewer = await getViewer(req);
+        if (!lesson || !canViewLesson(lesson, viewer)) {
+          return res.status(404).json({ message: "Comment not found" });
+        }
+        const isAuthor = comment.author.email === viewer.email;
+        if (
+          (access === "author" && !isAuthor) ||
+          (access === "moderate" && !isAuthor && !viewer.isAdmin)
+        ) {
+          return res.status(403).json({
+            message: "Only the author can change this comment",
+          });
+        }
+        req.comment = comment;
+        req.lesson = lesson;
+        req.viewer = viewer;
+        next();
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't check comment access",
+          error: error.message,
+        });
+      }
+    };
+
+    app.get(
+      "/lessons/:id/comments",
+      optionalJWT,
+      authorizeLesson("view"),
+      async (req, res) => {
+        try {
+          const { parentId } = req.query;
+          if (parentId && !ObjectId.isValid(parentId)) {
+            return res.status(404).json({ message: "Comment not found" });
+          }
+          // top level comments newest first, replies in the order written
+          const list = readListQuery(
+            req.query,
+            sortPresets,
+            parentId ? "oldest" : "newest"
+          );
+          if (list.error) return sendListError(res, list);
+          const query = {
+            lessonId: req.lesson._id,
+            parentId: parentId ? new ObjectId(parentId) : null,
+          };
+          const { page, ...pagination } = await findPage(
+            commentsCollection,
+            query,
+            list
+          );
+
+          const replyCounts = await commentsCollection
+            .aggregate([
+              {
+                $match: {
+                  parentId: { $in: page.map((comment) => comment._id) },
+                  deletedAt: { $exists: false },
+                },
+              },
+              { $group: { _id: "$parentId", count: { $sum: 1 } } },
+            ])
+            .toArray();
+          const result = page.map((comment) => {
+            const replies = replyCounts.find((reply) =>
+              reply._id.equals(comment._id)
+            );
+            return presentComment(
+              { ...comment, replyCount: replies ? replies.count : 0 },
+              req.viewer
+            );
+          });
+
+          res.status(200).json(listResponse("Comments", result, pagination));
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't get comments",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.post(
+      "/lessons/:id/comments",
+      verifyJWT,
+      rateLimit("comment"),
+      authorizeLesson("view"),
+      validateBody(commentSchema),
+      createComment
+    );
+    // older clients still add comments through the lesson
+    app.patch(
+      "/lesson/:id/comments",
+      verifyJWT,
+      rateLimit("comment"),
+      authorizeLesson("view"),
+      validateBody(commentSchema),
+      createComment
+    );
+    app.patch(
+      "/comments/:id",
+      verifyJWT,
+      authorizeComment("author"),
+      validateBody(commentSchema, { partial: true }),
+      async (req, res) => {
+        try {
+          if (!req.body.comment) {
+            return sendValidationErrors(res, [
+              { field: "comment", message: "is required" },
+            ]);
+          }
+          const now = new Date();
+          const result = await commentsCollection.updateOne(
+            { _id: req.comment._id },
+            {
+              $set: { comment: req.body.comment, editedAt: now },
+              $push: {
+                edits: { comment: req.comment.comment, editedAt: now },
+              },
+            }
+          );
+          res.status(200).json({ message: "Comment updated", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to update comment",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.delete(
+      "/comments/:id",
+      verifyJWT,
+      authorizeComment("moderate"),
+      async (req, res) => {
+        try {
+          // only the request that actually deletes it moves the counters,
+          // so repeated or racing deletes count once
+          const result = await commentsCollection.updateOne(
+            { _id: req.comment._id, deletedAt: { $exists: false } },
+            { $set: { deletedAt: new Date(), deletedBy: req.tokenEmail } }
+          );
+          if (result.modifiedCount !== 1) {
+            return res.status(404).json({ message: "Comment not found" });
+          }
+          await audit(req, {
+            action: "comment.delete",
+            targetType: "comment",
+            targetId: req.comment._id,
+            before: req.comment,
+          });
+          const lesson = await lessonsCollection.findOneAndUpdate(
+            { _id: req.comment.lessonId },
+            { $inc: { commentCount: -1 } },
+            { projection: { creator: 1 } }
+          );
+          if (lesson) {
+            await bumpLessonStat(lesson, "comments", -1);
+          }
+          await removeActivity(
+            req.comment.lessonId,
+            "comment",
+            req.comment.author.email,
+            req.comment._id
+          );
+          res.status(200).json({ message: "Comment deleted", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to delete comment",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/comments/:id/likes",
+      verifyJWT,
+      rateLimit("reaction"),
+      authorizeComment("any"),
+      async (req, res) => {
+        try {
+          const email = req.tokenEmail;
+          const liked = req.comment.likes?.includes(email);
+          // the likes filter keeps likeCount right when requests race
+          const result = liked
+            ? await commentsCollection.updateOne(
+                { _id: req.comment._id, likes: email },
+                { $pull: { likes: email }, $inc: { likeCount: -1 } }
+              )
+            : await commentsCollection.updateOne(
+                { _id: req.comment._id, likes: { $ne: email } },
+                { $push: { likes: email }, $inc: { likeCount: 1 } }
+              );
+          res.status(200).json({
+            message: liked ? "Comment unliked" : "Comment liked",
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to like comment",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/lesson/:id/favorites",
+      verifyJWT,
+      rateLimit("reaction"),
+      authorizeLesson("view"),
+      async (req, res) => {
+        try {
+          const { active, result } = await toggleLessonReaction(
+            req.lesson,
+            "favorites",
+            req.tokenEmail
+          );
+          if (active && result.modifiedCount) {
+            await notify({
+              type: "favorite",
+              lesson: req.lesson,
+              actorEmail: req.tokenEmail,
+            });
+          }
+
+          res.status(200).json({
+            message: active
+              ? "added favorite successfully"
+              : "removed favorite successfully",
+            favorited: active,
+            result,
+          });
+        } catch (error) {
+          res
+            .status(400)
+            .json({ message: "Failed to add favorite", error: error.message });
+        }
+      }
+    );
+    // reports api
+    const reportHideThreshold = Number(process.env.REPORT_HIDE_THRESHOLD) || 5;
+    const reportActions = ["hide", "delete", "warn"];
+
+    const createReport = async (req, res) => {
+      try {
+        const lesson = req.lesson;
+        const result = await reportsCollection.updateOne(
+          { lessonId: lesson._id, reporterEmail: req.tokenEmail },
+          {
+            $setOnInsert: {
+              reason: req.body.reason,
+              note: req.body.note || null,
+              status: "open",
+              createdAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        if (!result.upsertedCount) {
+          return res
+            .status(409)
+            .json({ message: "You already reported this lesson" });
+        }
+
+        // every open report comes from a different user
+        const openReports = await reportsCollection.countDocuments({
+          lessonId: lesson._id,
+          status: "open",
+        });
+        if (openReports >= reportHideThreshold && !lesson.hidden) {
+          await lessonsCollection.updateOne(
+            { _id: lesson._id },
+            {
+              $set: {
+                hidden: true,
+                hiddenReason: "reports",
+                hiddenAt: new Date(),
+              },
+            }
+          );
+        }
+
+        res.status(201).json({
+          message: "Report add to database",
+          result,
+        });
+      } catch (error) {
+        res.status(400).json({
+          message: "Can't store report to database",
+          error: error.message,
+        });
+      }
+    };
+    app.post(
+      "/lessons/:id/reports",
+      verifyJWT,
+      rateLimit("report"),
+      authorizeLesson("view"),
+      validateBody(reportSchema),
+      createReport
+    );
+    // older clients still report through this route
+    app.patch(
+      "/report/:id",
+      verifyJWT,
+      rateLimit("report"),
+      authorizeLesson("view"),
+      validateBody(reportSchema),
+      createReport
+    );
+
+    app.get("/admin/reports", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const status = req.query.status || "open";
+        const list = readListQuery(
+          req.query,
+          { mostReported: { reportCount: -1, lastReportedAt: -1, _id: -1 } },
+          "mostReported"
+        );
+        if (list.error) return sendListError(res, list);
+        const groups = await reportsCollection
+          .aggregate([
+            { $match: { status: status } },
+            { $sort: { createdAt: -1 } },
+            {
+              $group: {
+                _id: "$lessonId",
+                reportCount: { $sum: 1 },
+                reasons: { $addToSet: "$reason" },
+                lastReportedAt: { $first: "$createdAt" },
+                reports: {
+                  $push: {
+                    _id: "$_id",
+                    reporterEmail: "$reporterEmail",
+                    reason: "$reason",
+                    note: "$note",
+                    createdAt: "$createdAt",
+                  },
+                },
+              },
+            },
+            { $match: withCursor({}, list) },
+            { $sort: list.sort },
+            { $limit: list.limit + 1 },
+            {
+              $lookup: {
+                from: "lessons",
+                localField: "_id",
+                foreignField: "_id",
+                pipeline: [{ $project: { title: 1, creator: 1, hidden: 1 } }],
+                as: "lesson",
+              },
+            },
+            { $unwind: { path: "$lesson", preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                lessonId: "$_id",
+                lesson: 1,
+                reportCount: 1,
+                reasons: 1,
+                lastReportedAt: 1,
+                reports: 1,
+              },
+            },
+          ])
+          .toArray();
+        const { page, ...pagination } = pageOf(groups, list);
+        res
+          .status(200)
+          .json(listResponse("Reported lessons", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get reports",
+          error: error.message,
+        });
+      }
+    });
+
+    const resolveReports = (lessonId, status, email, extra = {}) =>
+      reportsCollection.updateMany(
+        { lessonId: lessonId, status: "open" },
+        {
+          $set: {
+            status: status,
+            resolvedAt: new Date(),
+            resolvedBy: email,
+            ...extra,
+          },
+        }
+      );
+
+    app.patch(
+      "/admin/lessons/:id/reports/dismiss",
+      verifyJWT,
+      verifyAdmin,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const lesson = req.lesson;
+          const result = await resolveReports(
+            lesson._id,
+            "dismissed",
+            req.tokenEmail
+          );
+          // only undo hiding that the reports caused
+          if (lesson.hidden && lesson.hiddenReason === "reports") {
+            await lessonsCollection.updateOne(
+              { _id: lesson._id },
+              {
+                $set: { hidden: false },
+                $unset: { hiddenReason: "", hiddenAt: "" },
+              }
+            );
+          }
+          await audit(req, {
+            action: "reports.dismiss",
+            targetType: "lesson",
+            targetId: lesson._id,
+            before: pickFields(lesson, ["hidden", "hiddenReason"]),
+            after: { dismissedReports: result.modifiedCount },
+          });
+          res.status(200).json({ message: "Reports dismissed", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to dismiss reports",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/admin/lessons/:id/reports/action",
+      verifyJWT,
+      verifyAdmin,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const lesson = req.lesson;
+          const { action, note } = req.body;
+          if (!reportActions.includes(action)) {
+            return sendValidationErrors(res, [
+              {
+                field: "action",
+                message: `must be one of ${reportActions.join(", ")}`,
+              },
+            ]);
+          }
+          if (action === "hide") {
+            await lessonsCollection.updateOne(
+              { _id: lesson._id },
+              {
+                $set: {
+                  hidden: true,
+                  hiddenReason: "moderation",
+                  hiddenAt: new Date(),
+                },
+              }
+            );
+          }
+          if (action === "delete") {
+            await lessonsCollection.updateOne(
+              { _id: lesson._id },
+              { $set: { deletedAt: new Date(), deletedBy: req.tokenEmail } }
+            );
+          }
+          if (action === "warn") {
+            await userCollection.updateOne(
+              { email: lesson.creator?.email },
+              {
+                $push: {
+                  warnings: {
+                    lessonId: lesson._id,
+                    note: note,
+                    by: req.tokenEmail,
+                    createdAt: new Date(),
+                  },
+                },
+              }
+            );
+          }
+          const result = await resolveReports(
+            lesson._id,
+            "actioned",
+            req.tokenEmail,
+            { action: action, resolutionNote: note }
+          );
+          await audit(req, {
+            action: `reports.${action}`,
+            targetType: "lesson",
+            targetId: lesson._id,
+            before: lesson,
+            after: action === "delete" ? null : { action, note },
+          });
+          res.status(200).json({ message: "Report action taken", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to act on reports",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.delete(
+      "/lessons/:id",
+      verifyJWT,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const query = { _id: req.lesson._id };
+          const result = await lessonsCollection.updateOne(query, {
+            $set: { deletedAt: new Date(), deletedBy: req.tokenEmail },
+          });
+          await audit(req, {
+            action: "lesson.delete",
+            targetType: "lesson",
+            targetId: req.lesson._id,
+            before: req.lesson,
+          });
+          res.status(200).json({
+            message: "Delete lessons",
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't delete lesson from database",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/lessons/:id",
+      verifyJWT,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const role = req.viewer.isAdmin ? "admin" : "user";
+          const { update, rejected } = pickAllowedFields(
+            req.body,
+            lessonFieldPolicy[role]
+          );
+          if (rejected.length) {
+            return sendRejectedFields(res, rejected);
+          }
+          const { value, errors } = validate(lessonSchema, update, {
+            partial: true,
+          });
+          errors.push(...applyLessonStatus(value, req.lesson));
+          if (errors.length) {
+            return sendValidationErrors(res, errors);
+          }
+
+          const { result, revision } = await saveLessonChanges(
+            req.lesson,
+            value,
+            req.tokenEmail
+          );
+          if (revision && req.lesson.creator?.email !== req.tokenEmail) {
+            await audit(req, {
+              action: "lesson.update",
+              targetType: "lesson",
+              targetId: req.lesson._id,
+              before: Object.fromEntries(
+                revision.changes.map((change) => [change.field, change.before])
+              ),
+              after: Object.fromEntries(
+                revision.changes.map((change) => [change.field, change.after])
+              ),
+            });
+          }
+
+          res.status(200).json({
+            message: "Data Updated",
+            result,
+            revision,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't update data to database",
+            error: error.message,
+          });
+        }
+      }
+    );
+    // lesson revisions
+    // revision 0 is the lesson as created, every saved edit adds one with
+    // the before and after value of each field it changed
+    const revisionFields = lessonFieldPolicy.admin;
+    // a missing field and a null one are the same value
+    const sameValue = (a, b) =>
+      JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    // a change to null removes the field
+    const saveLessonChanges = async (lesson, update, editor, extra = {}) => {
+      const changes = Object.keys(update)
+        .filter((field) => !sameValue(lesson[field], update[field]))
+        .map((field) => ({
+          field,
+          before: lesson[field] ?? null,
+          after: update[field] ?? null,
+        }));
+      if (!changes.length) {
+        return {
+          result: { matchedCount: 1, modifiedCount: 0 },
+          revision: null,
+        };
+      }
+      const updated = await lessonsCollection.findOneAndUpdate(
+        { _id: lesson._id },
+        {
+          $set: {
+            ...Object.fromEntries(
+              changes
+                .filter((change) => change.after !== null)
+                .map((change) => [change.field, change.after])
+            ),
+            updatedAt: new Date(),
+          },
+          ...(changes.some((change) => change.after === null) && {
+            $unset: Object.fromEntries(
+              changes
+                .filter((change) => change.after === null)
+                .map((change) => [change.field, ""])
+            ),
+          }),
+          $inc: { revisionCount: 1 },
+        },
+        { returnDocument: "after", projection: { revisionCount: 1 } }
+      );
+      const revision = {
+        lessonId: lesson._id,
+        revision: updated.revisionCount,
+        changes,
+        editor: editor,
+        createdAt: new Date(),
+        ...extra,
+      };
+      await lessonRevisionsCollection.insertOne(revision);
+      return { result: { matchedCount: 1, modifiedCount: 1 }, revision };
+    };
+
+    // rebuilds the tracked fields as they were right after `revision`. The
+    // publisher and the featured toggle change fields without writing a
+    // revision, so a field is taken from the next edit that touched it, or
+    // from the live lesson when no later edit did.
+    const lessonAtRevision = (lesson, revisions, revision) =>
+      Object.fromEntries(
+        revisionFields.map((field) => {
+          const firstAfter = revisions.find(
+            (item) =>
+              item.revision > revision &&
+              item.changes.some((change) => change.field === field)
+          );
+          if (!firstAfter) return [field, lesson[field] ?? null];
+          const change = firstAfter.changes.find(
+            (itemChange) => itemChange.field === field
+          );
+          return [field, change.before];
+        })
+      );
+    const loadRevisions = (lessonId) =>
+      lessonRevisionsCollection
+        .find({ lessonId: lessonId })
+        .sort({ revision: 1 })
+        .toArray();
+    const readRevisionNumber = (value, lesson) => {
+      const revision = Number(value);
+      return Number.isInteger(revision) &&
+        revision >= 0 &&
+        revision <= (lesson.revisionCount || 0)
+        ? revision
+        : null;
+    };
+
+    app.get(
+      "/lessons/:id/revisions",
+      verifyJWT,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const list = readListQuery(
+            req.query,
+            { newest: { revision: -1, _id: -1 } },
+            "newest"
+          );
+          if (list.error) return sendListError(res, list);
+          const { page, ...pagination } = await findPage(
+            lessonRevisionsCollection,
+            { lessonId: req.lesson._id },
+            list
+          );
+          res.status(200).json(
+            listResponse("Lesson revisions", page, pagination, {
+              currentRevision: req.lesson.revisionCount || 0,
+            })
+          );
+        } catch (error) {
+          res.status(500).json({
+            message: "Can't get lesson revisions",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.get(
+      "/lessons/:id/revisions/diff",
+      verifyJWT,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const lesson = req.lesson;
+          const from = readRevisionNumber(req.query.from, lesson);
+          const to = readRevisionNumber(
+            req.query.to ?? lesson.revisionCount ?? 0,
+            lesson
+          );
+          if (from === null || to === null) {
+            return res.status(404).json({ message: "Revision not found" });
+          }
+          const revisions = await loadRevisions(lesson._id);
+          const before = lessonAtRevision(lesson, revisions, from);
+          const after = lessonAtRevision(lesson, revisions, to);
+          const result = revisionFields
+            .filter((field) => !sameValue(before[field], after[field]))
+            .map((field) => ({
+              field,
+              from: before[field],
+              to: after[field],
+            }));
+          res.status(200).json({ message: "Revision diff", from, to, result });
+        } catch (error) {
+          res.status(500).json({
+            message: "Can't diff lesson revisions",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.post(
+      "/lessons/:id/revisions/:revision/restore",
+      verifyJWT,
+      authorizeLesson("owner"),
+      async (req, res) => {
+        try {
+          const lesson = req.lesson;
+          const revision = readRevisionNumber(req.params.revision, lesson);
+          if (revision === null) {
+            return res.status(404).json({ message: "Revision not found" });
+          }
+          const revisions = await loadRevisions(lesson._id);
+          const snapshot = lessonAtRevision(lesson, revisions, revision);
+          // fields only an admin may edit stay as they are for creators
+          if (!req.viewer.isAdmin) {
+            Object.keys(snapshot)
+              .filter((field) => !lessonFieldPolicy.user.includes(field))
+              .forEach((field) => delete snapshot[field]);
+          }
+          // only what differs goes through the status rules, a due lesson
+          // the restore leaves scheduled isn't rejected for its publishAt
+          Object.keys(snapshot)
+            .filter((field) => sameValue(lesson[field], snapshot[field]))
+            .forEach((field) => delete snapshot[field]);
+          const errors = applyLessonStatus(snapshot, lesson);
+          if (errors.length) {
+            return sendValidationErrors(res, errors);
+          }
+          // fields that were null at that revision are unset
+          const saved = await saveLessonChanges(
+            lesson,
+            snapshot,
+            req.tokenEmail,
+            { restoredFrom: revision }
+          );
+          if (saved.revision && lesson.creator?.email !== req.tokenEmail) {
+            await audit(req, {
+              action: "lesson.restoreRevision",
+              targetType: "lesson",
+              targetId: lesson._id,
+              before: Object.fromEntries(
+                saved.revision.changes.map((change) => [
+                  change.field,
+                  change.before,
+                ])
+              ),
+              after: Object.fromEntries(
+                saved.revision.changes.map((change) => [
+                  change.field,
+                  change.after,
+                ])
+              ),
+            });
+          }
+          res.status(200).json({ message: "Revision restored", ...saved });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't restore lesson revision",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    // audit log api
+    const auditCsvColumns = [
+      "createdAt",
+      "actorEmail",
+      "action",
+      "target.type",
+      "target.id",
+      "before",
+      "after",
+      "ip",
+      "userAgent",
+    ];
+    const auditCsvLimit = 10000;
+    app.get("/admin/audit-log", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const { actor, action, targetType, targetId, from, to, format } =
+          req.query;
+        const query = {};
+        if (actor) query.actorEmail = actor;
+        if (action) query.action = action;
+        if (targetType) query["target.type"] = targetType;
+        if (targetId) {
+          query["target.id"] = ObjectId.isValid(targetId)
+            ? new ObjectId(targetId)
+            : targetId;
+        }
+        if (from || to) {
+          query.createdAt = {};
+          if (from) query.createdAt.$gte = new Date(from);
+          if (to) query.createdAt.$lte = new Date(to);
+          if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+            return res.status(400).json({ message: "Invalid date range" });
+          }
+        }
+
+        if (format === "csv") {
+          const entries = await auditLogCollection
+            .find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(auditCsvLimit)
+            .toArray();
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          res.setHeader(
+            "Content-Disposition",
+            'attachment; filename="audit-log.csv"'
+          );
+          return res.send(toCsv(auditCsvColumns, entries));
+        }
+
+        const list = readListQuery(req.query, sortPresets, "newest", 50);
+        if (list.error) return sendListError(res, list);
+        const { page, ...pagination } = await findPage(
+          auditLogCollection,
+          query,
+          list
+        );
+        res.status(200).json(listResponse("Audit log", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get audit log",
+          error: error.message,
+        });
+      }
+    });
+
+    // analytics ranges
+    // a range covers the last 30 days, 12 weeks or 12 months for its
+    // granularity unless from/to say otherwise
+    const analyticsIntervals = {
+      day: { days: 1, span: 30 },
+      week: { days: 7, span: 12 },
+      month: { days: 30, span: 12 },
+    };
+    const readAnalyticsRange = (query, param) => {
+      const interval = query[param] || "day";
+      if (!analyticsIntervals[interval]) {
+        return {
+          errors: [
+            {
+              field: param,
+              message: `must be one of ${Object.keys(analyticsIntervals).join(
+                ", "
+              )}`,
+            },
+          ],
+        };
+      }
+      const to = query.to ? new Date(query.to) : new Date();
+      if (Number.isNaN(to.getTime())) {
+        return { errors: [{ field: "to", message: "must be a date" }] };
+      }
+      const { days, span } = analyticsIntervals[interval];
+      const from = query.from
+        ? new Date(query.from)
+        : statsDay(to.getTime() - (span * days - 1) * 24 * 60 * 60 * 1000);
+      if (Number.isNaN(from.getTime()) || from > to) {
+        return {
+          errors: [{ field: "from", message: "must be a date before to" }],
+        };
+      }
+      return { interval, from, to };
+    };
+    const isTimezone = (timezone) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    // admin analytics
+    // each series counts documents by the date they were created on,
+    // bucketed in the requested timezone
+    const adminSeries = {
+      lessons: {
+        collection: lessonsCollection,
+        field: "createdAt",
+        match: notDeleted,
+      },
+      users: { collection: userCollection, field: "create_at" },
+      premiumConversions: { collection: userCollection, field: "premiumSince" },
+      reports: { collection: reportsCollection, field: "createdAt" },
+    };
+    const timeSeries = ({ collection, field, match = {} }, range) =>
+      collection
+        .aggregate([
+          {
+            $match: { ...match, [field]: { $gte: range.from, $lte: range.to } },
+          },
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: `$${field}`,
+                  unit: range.interval,
+                  timezone: range.timezone,
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: "$_id", count: 1 } },
+        ])
+        .toArray();
+
+    // dashboards poll, so results are reused for a short while
+    const analyticsCache = new Map();
+    const analyticsCacheMs =
+      Number(process.env.ANALYTICS_CACHE_MS) || 60 * 1000;
+    const cachedAnalytics = async (key, load) => {
+      const now = Date.now();
+      const cached = analyticsCache.get(key);
+      if (cached && cached.expiresAt > now) return cached.value;
+      const value = await load();
+      analyticsCache.forEach((entry, entryKey) => {
+        if (entry.expiresAt <= now) analyticsCache.delete(entryKey);
+      });
+      analyticsCache.set(key, { value, expiresAt: now + analyticsCacheMs });
+      return value;
+    };
+
+    app.get("/admin/analytics", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const range = readAnalyticsRange(req.query, "granularity");
+        if (range.errors) {
+          return sendValidationErrors(res, range.errors);
+        }
+        const timezone = req.query.timezone || "UTC";
+        if (!isTimezone(timezone)) {
+          return sendValidationErrors(res, [
+            { field: "timezone", message: "must be an IANA timezone" },
+          ]);
+        }
+        range.timezone = timezone;
+        const key = JSON.stringify([
+          range.interval,
+          range.from,
+          // an open ended range moves every request, round it so the cache
+          // still gets hits
+          req.query.to
+            ? range.to
+            : Math.floor(range.to.getTime() / analyticsCacheMs),
+          timezone,
+        ]);
+        const result = await cachedAnalytics(key, async () => {
+          const names = Object.keys(adminSeries);
+          const series = await Promise.all(
+            names.map((name) => timeSeries(adminSeries[name], range))
+          );
+          return {
+            granularity: range.interval,
+            from: range.from,
+            to: range.to,
+            timezone,
+            series: Object.fromEntries(
+              names.map((name, index) => [name, series[index]])
+            ),
+            totals: Object.fromEntries(
+              names.map((name, index) => [
+                name,
+                series[index].reduce((total, row) => total + row.count, 0),
+              ])
+            ),
+          };
+        });
+        res.status(200).json({ message: "Admin analytics", result });
+      } catch (error) {
+        res.status(500).json({
+          message: "Failed to load admin analytics",
+          error: error.message,
+        });
+      }
+    });
+
+    app.get("/admin/overview", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const overview = await cachedAnalytics("overview", async () => {
+          const startOfDay = statsDay();
+          const startDate = new Date(startOfDay);
+          startDate.setUTCDate(startDate.getUTCDate() - 6);
+          const [
+            totalUser,
+            totalPublicLessons,
+            reportedLessonIds,
+            todaysLessons,
+            lessons,
+            lessonsLast7Days,
+            mostActiveContributors,
+          ] = await Promise.all([
+            userCollection.countDocuments(),
+            lessonsCollection.countDocuments({
+              ...notDeleted,
+              visibility: "public",
+            }),
+            reportsCollection.distinct("lessonId", { status: "open" }),
+            lessonsCollection.countDocuments({
+              ...notDeleted,
+              createdAt: { $gte: startOfDay },
+            }),
+            lessonsCollection.countDocuments(notDeleted),
+            // kept for the current dashboard, /admin/analytics is the
+            // configurable version
+            lessonsCollection
+              .aggregate([
+                { $match: { ...notDeleted, createdAt: { $gte: startDate } } },
+                {
+                  $group: {
+                    _id: {
+                      $dateTrunc: {
+                        date: "$createdAt",
+                        unit: "day",
+                        timezone: "UTC",
+                      },
+                    },
+                    count: { $sum: 1 },
+                  },
+                },
+                // latest date first
+                { $sort: { _id: -1 } },
+                {
+                  $project: {
+                    _id: 0,
+                    date: {
+                      $dateToString: {
+                        format: "%d-%b-%Y",
+                        date: "$_id",
+                        timezone: "UTC",
+                      },
+                    },
+                    count: 1,
+                  },
+                },
+              ])
+              .toArray(),
+            lessonsCollection
+              .aggregate([
+                { $match: notDeleted },
+                {
+                  $group: {
+                    _id: "$creator.email",
+                    lessonCount: { $sum: 1 },
+                  },
+                },
+                { $sort: { lessonCount: -1 } },
+                {
+                  $project: {
+                    _id: 0,
+                    email: "$_id",
+                    lessonCount: 1,
+                  },
+                },
+              ])
+              .toArray(),
+          ]);
+          return {
+            mostActiveContributors,
+            totalReportedLessons: reportedLessonIds.length,
+            totalPublicLessons,
+            totalUser,
+            todaysLessons,
+            users: totalUser,
+            lessons,
+            lessonsLast7Days,
+          };
+        });
+
+        res.status(200).json({ message: "all statistic", ...overview });
+      } catch (error) {
+        res.status(500).json({
+          message: "Failed to load admin dashboard data",
+          error: error.message,
+        });
+      }
+    });
+    // creators see how their own lessons do
+    const statFields = ["views", "likes", "favorites", "comments"];
+    const sumStats = (rows) =>
+      Object.fromEntries(
+        statFields.map((field) => [
+          field,
+          rows.reduce((total, row) => total + (row[field] || 0), 0),
+        ])
+      );
+    const statsScore = (stats) =>
+      stats.views * activityWeights.view +
+      stats.likes * activityWeights.like +
+      stats.favorites * activityWeights.favorite +
+      stats.comments * activityWeights.comment;
+
+    app.get("/me/analytics", verifyJWT, async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+        const range = readAnalyticsRange(req.query, "interval");
+        if (range.errors) {
+          return sendValidationErrors(res, range.errors);
+        }
+        const { interval, from, to } = range;
+        const bucket = (field) => ({
+          $dateTrunc: { date: field, unit: interval, timezone: "UTC" },
+        });
+        const statsRange = {
+          creatorEmail: email,
+          day: { $gte: statsDay(from), $lte: to },
+        };
+        const statSums = Object.fromEntries(
+          statFields.map((field) => [field, { $sum: `$${field}` }])
+        );
+
+        const lessons = await lessonsCollection
+          .find(
+            { ...notDeleted, "creator.email": email },
+            {
+              projection: {
+                title: 1,
+                status: 1,
+                visibility: 1,
+                accessLevel: 1,
+                createdAt: 1,
+                viewCount: 1,
+                likeCount: 1,
+                favoriteCount: 1,
+                commentCount: 1,
+              },
+            }
+          )
+          .sort({ createdAt: -1, _id: -1 })
+          .toArray();
+        const lessonStats = await lessonStatsCollection
+          .aggregate([
+            { $match: statsRange },
+            { $group: { _id: "$lessonId", ...statSums } },
+          ])
+          .toArray();
+        const timeline = await lessonStatsCollection
+          .aggregate([
+            { $match: statsRange },
+            { $group: { _id: bucket("$day"), ...statSums } },
+            { $sort: { _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                date: "$_id",
+                views: 1,
+                likes: 1,
+                favorites: 1,
+                comments: 1,
+              },
+            },
+          ])
+          .toArray();
+
+        const statsByLesson = new Map(
+          lessonStats.map((stats) => [stats._id.toString(), stats])
+        );
+        const lessonRows = lessons.map((lesson) => {
+          const range = sumStats([
+            statsByLesson.get(lesson._id.toString()) || {},
+          ]);
+          return {
+            _id: lesson._id,
+            title: lesson.title,
+            status: lesson.status,
+            visibility: lesson.visibility,
+            accessLevel: lesson.accessLevel,
+            createdAt: lesson.createdAt,
+            lifetime: {
+              views: lesson.viewCount || 0,
+              likes: lesson.likeCount || 0,
+              favorites: lesson.favoriteCount || 0,
+              comments: lesson.commentCount || 0,
+            },
+            range,
+          };
+        });
+        const topLessons = lessonRows
+          .map((lesson) => ({ ...lesson, score: statsScore(lesson.range) }))
+          .filter((lesson) => lesson.score > 0)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 5);
+
+        let followers = null;
+        const followerTotal = await followsCollection.countDocuments({
+          followingEmail: email,
+        });
+        if (followerTotal) {
+          const before = await followsCollection.countDocuments({
+            followingEmail: email,
+            createdAt: { $lt: statsDay(from) },
+          });
+          const gained = await followsCollection
+            .aggregate([
+              {
+                $match: {
+                  followingEmail: email,
+                  createdAt: { $gte: statsDay(from), $lte: to },
+                },
+              },
+              { $group: { _id: bucket("$createdAt"), count: { $sum: 1 } } },
+              { $sort: { _id: 1 } },
+            ])
+            .toArray();
+          // unfollows delete the follow, so this is growth of who still
+          // follows today
+          let running = before;
+          followers = {
+            total: followerTotal,
+            timeline: gained.map((row) => {
+              running += row.count;
+              return { date: row._id, gained: row.count, total: running };
+            }),
+          };
+        }
+
+        res.status(200).json({
+          message: "Creator analytics",
+          result: {
+            interval,
+            from: statsDay(from),
+            to,
+            totals: {
+              lessons: lessons.length,
+              lifetime: sumStats(lessonRows.map((lesson) => lesson.lifetime)),
+              range: sumStats(lessonRows.map((lesson) => lesson.range)),
+            },
+            lessons: lessonRows,
+            timeline,
+            topLessons,
+            followers,
+          },
+        });
+      } catch (error) {
+        res.status(500).json({
+          message: "Failed to load analytics",
+          error: error.message,
+        });
+      }
+    });
+
+    app.get("/analytics/accessLevel", async (req, res) => {
+      try {
+        const endDate = new Date();
+        endDate.setUTCHours(23, 59, 59, 999);
+
+        const startDate = new Date();
+        startDate.setUTCDate(startDate.getUTCDate() - 6);
+        startDate.setUTCHours(0, 0, 0, 0);
+
+        const data = await lessonsCollection
+          .aggregate([
+            {
+              $match: {
+                ...notDeleted,
+                createdAt: { $gte: startDate, $lte: endDate },
+                visibility: "public",
+              },
+            },
+            {
+              $group: {
+                _id: "$accessLevel",
+                count: { $sum: 1 },
+              },
+            },
+          ])
+          .toArray();
+
+        // Make sure both free and premium exist
+        const result = ["free", "premium"].map((level) => {
+          const found = data.find((d) => d._id === level);
+          return { accessLevel: level, count: found ? found.count : 0 };
+        });
+
+        res.json(listResponse("Lessons by access level", result));
+      } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "AccessLevel analytics failed" });
+      }
+    });
+
+    // notifications api
+    app.get("/notifications", verifyJWT, async (req, res) => {
+      try {
+        const list = readListQuery(
+          req.query,
+          // grouped notifications keep their updatedAt moving, so pages
+          // follow createdAt which doesn't
+          { newest: { createdAt: -1, _id: -1 } },
+          "newest"
+        );
+        if (list.error) return sendListError(res, list);
+        const query = { recipientEmail: req.tokenEmail };
+        if (req.query.unread === "true") {
+          query.read = false;
+        }
+        const { page, ...pagination } = await findPage(
+          notificationsCollection,
+          query,
+          list
+        );
+        res.status(200).json(listResponse("Notifications", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get notifications",
+          error: error.message,
+        });
+      }
+    });
+    app.get("/notifications/unread-count", verifyJWT, async (req, res) => {
+      try {
+        const count = await notificationsCollection.countDocuments({
+          recipientEmail: req.tokenEmail,
+          read: false,
+        });
+        res.status(200).json({ message: "Unread notifications", count });
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't count notifications",
+          error: error.message,
+        });
+      }
+    });
+    app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { recipientEmail: req.tokenEmail, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.status(200).json({ message: "All notifications read", result });
+      } catch (error) {
+        res.status(400).json({
+          message: "Failed to mark notifications as read",
+          error: error.message,
+        });
+      }
+    });
+    app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "Notification not found" });
+        }
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(id), recipientEmail: req.tokenEmail },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (!result.matchedCount) {
+          return res.status(404).json({ message: "Notification not found" });
+        }
+        res.status(200).json({ message: "Notification read", result });
+      } catch (error) {
+        res.status(400).json({
+          message: "Failed to mark notification as read",
+          error: error.message,
+        });
+      }
+    });
+    // EventSource can't send headers, so the stream also takes ?token=
+    const tokenFromQuery = (req, res, next) => {
+      if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+      }
+      next();
+    };
+    app.get(
+      "/notifications/stream",
+      tokenFromQuery,
+      verifyJWT,
+      async (req, res) => {
+        const email = req.tokenEmail;
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+        res.write("retry: 5000\n\n");
+
+        if (!notificationStreams.has(email)) {
+          notificationStreams.set(email, new Set());
+        }
+        notificationStreams.get(email).add(res);
+        // keeps proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+        req.on("close", () => {
+          clearInterval(heartbeat);
+          const streams = notificationStreams.get(email);
+          streams?.delete(res);
+          if (!streams?.size) notificationStreams.delete(email);
+        });
+      }
+    );
+
+    // follow api
+    const loadFollowTarget = async (req, res, next) => {
+      try {
+        const email = req.params.email;
+        const user = await userCollection.findOne({ email: email });
+        if (!user) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        req.targetUser = user;
+        next();
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't find user",
+          error: error.message,
+        });
+      }
+    };
+
+    app.post(
+      "/users/:email/follow",
+      verifyJWT,
+      loadFollowTarget,
+      async (req, res) => {
+        try {
+          const followingEmail = req.targetUser.email;
+          if (followingEmail === req.tokenEmail) {
+            return res
+              .status(400)
+              .json({ message: "You can't follow yourself" });
+          }
+          const result = await followsCollection.updateOne(
+            { followerEmail: req.tokenEmail, followingEmail: followingEmail },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true }
+          );
+          // counts only move when the follow is new
+          if (result.upsertedCount) {
+            await userCollection.updateOne(
+              { email: followingEmail },
+              { $inc: { followerCount: 1 } }
+            );
+            await userCollection.updateOne(
+              { email: req.tokenEmail },
+              { $inc: { followingCount: 1 } }
+            );
+          }
+          res.status(200).json({ message: "Following", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to follow user",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.delete(
+      "/users/:email/follow",
+      verifyJWT,
+      loadFollowTarget,
+      async (req, res) => {
+        try {
+          const followingEmail = req.targetUser.email;
+          const result = await followsCollection.deleteOne({
+            followerEmail: req.tokenEmail,
+            followingEmail: followingEmail,
+          });
+          if (result.deletedCount) {
+            await userCollection.updateOne(
+              { email: followingEmail },
+              { $inc: { followerCount: -1 } }
+            );
+            await userCollection.updateOne(
+              { email: req.tokenEmail },
+              { $inc: { followingCount: -1 } }
+            );
+          }
+          res.status(200).json({ message: "Unfollowed", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to unfollow user",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.get(
+      "/users/:email/follow-stats",
+      optionalJWT,
+      loadFollowTarget,
+      async (req, res) => {
+        try {
+          const email = req.targetUser.email;
+          const isFollowing = req.tokenEmail
+            ? !!(await followsCollection.findOne({
+                followerEmail: req.tokenEmail,
+                followingEmail: email,
+              }))
+            : false;
+          res.status(200).json({
+            message: "Follow stats",
+            followers: req.targetUser.followerCount || 0,
+            following: req.targetUser.followingCount || 0,
+            isFollowing,
+          });
+        } catch (error) {
+          res.status(500).json({
+            message: "Can't get follow stats",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    // "followers" lists who follows the user, "following" who they follow
+    const followList = (direction) => async (req, res) => {
+      try {
+        const list = readListQuery(req.query, sortPresets, "newest");
+        if (list.error) return sendListError(res, list);
+        const [matchField, userField] =
+          direction === "followers"
+            ? ["followingEmail", "followerEmail"]
+            : ["followerEmail", "followingEmail"];
+        const { page, ...pagination } = await findPage(
+          followsCollection,
+          { [matchField]: req.targetUser.email },
+          list
+        );
+        const users = await userCollection
+          .find(
+            { email: { $in: page.map((follow) => follow[userField]) } },
+            { projection: { name: 1, email: 1, photoURL: 1 } }
+          )
+          .toArray();
+        const result = page.map((follow) => ({
+          ...users.find((user) => user.email === follow[userField]),
+          email: follow[userField],
+          followedAt: follow.createdAt,
+        }));
+        res
+          .status(200)
+          .json(
+            listResponse(
+              direction === "followers" ? "Followers" : "Following",
+              result,
+              pagination
+            )
+          );
+      } catch (error) {
+        res.status(500).json({
+          message: `Can't get ${direction}`,
+          error: error.message,
+        });
+      }
+    };
+    app.get(
+      "/users/:email/followers",
+      loadFollowTarget,
+      followList("followers")
+    );
+    app.get(
+      "/users/:email/following",
+      loadFollowTarget,
+      followList("following")
+    );
+
+    // feed api
+    // below this many follows the feed mixes in lessons like the ones the
+    // reader favorited
+    const feedMinFollowing = Number(process.env.FEED_MIN_FOLLOWING) || 5;
+    const feedInterests = 3;
+    const topFavoriteValues = async (email, field) =>
+      (
+        await lessonsCollection
+          .aggregate([
+            { $match: { ...notDeleted, favorites: email } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: feedInterests },
+          ])
+          .toArray()
+      ).map((item) => item._id);
+
+    app.get("/feed", verifyJWT, async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+        const list = readListQuery(req.query, sortPresets, "newest", 10);
+        if (list.error) return sendListError(res, list);
+        const following = await followsCollection.distinct("followingEmail", {
+          followerEmail: email,
+        });
+        const sources = [{ "creator.email": { $in: following } }];
+        let interests = { category: [], emotionalTone: [] };
+        if (following.length < feedMinFollowing) {
+          interests = {
+            category: await topFavoriteValues(email, "category"),
+            emotionalTone: await topFavoriteValues(email, "emotionalTone"),
+          };
+          if (interests.category.length) {
+            sources.push({ category: { $in: interests.category } });
+          }
+          if (interests.emotionalTone.length) {
+            sources.push({
+              emotionalTone: { $in: interests.emotionalTone },
+            });
+          }
+        }
+        const query = publicLessonQuery({
+          $or: sources,
+          "creator.email": { $ne: email },
+        });
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        const viewer = await getViewer(req);
+        const result = presentLessons(page, viewer).map((lesson) => ({
+          ...lesson,
+          feedReason: following.includes(lesson.creator?.email)
+            ? "following"
+            : "interest",
+        }));
+        res
+          .status(200)
+          .json(listResponse("Feed", result, pagination, { interests }));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get feed",
+          error: error.message,
+        });
+      }
+    });
+
+    // collections and learning paths
+    // Both are ordered lists of lesson ids owned by a user. Anyone can
+    // collect any lesson they can see, a learning path only holds its
+    // creator's own lessons and can be stepped through in order.
+    const lessonListKinds = {
+      collections: {
+        collection: collectionsCollection,
+        label: "Collection",
+        ownLessonsOnly: false,
+      },
+      paths: {
+        collection: learningPathsCollection,
+        label: "Learning path",
+        ownLessonsOnly: true,
+      },
+    };
+    const lessonListLimit = collectionSchema.lessonIds.maxItems;
+    const lessonListSorts = {
+      newest: sortPresets.newest,
+      oldest: sortPresets.oldest,
+      name: { name: 1, _id: 1 },
+    };
+
+    // "view" hides private lists from everyone but their owner and admins,
+    // "owner" only lets the owner through and "manage" admins as well
+    const authorizeLessonList = (kind, access) => async (req, res, next) => {
+      const { collection, label } = lessonListKinds[kind];
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: `${label} not found` });
+        }
+        const lessonList = await collection.findOne({ _id: new ObjectId(id) });
+        if (!lessonList) {
+          return res.status(404).json({ message: `${label} not found` });
+        }
+        const viewer = await getViewer(req);
+        const isOwner = lessonList.ownerEmail === viewer.email;
+        if (
+          access === "view" &&
+          lessonList.visibility === "private" &&
+          !isOwner &&
+          !viewer.isAdmin
+        ) {
+          return res.status(404).json({ message: `${label} not found` });
+        }
+        if (
+          (access === "owner" && !isOwner) ||
+          (access === "manage" && !isOwner && !viewer.isAdmin)
+        ) {
+          return res
+            .status(403)
+            .json({ message: `Only the owner can change this ${label}` });
+        }
+        req.lessonList = lessonList;
+        req.viewer = viewer;
+        next();
+      } catch (error) {
+        res.status(500).json({
+          message: `Can't check ${label} access`,
+          error: error.message,
+        });
+      }
+    };
+
+    // the lessons of a list in order, minus the ones the viewer can't see
+    const loadListLessons = async (lessonList, viewer) => {
+      const lessons = await lessonsCollection
+        .find({ _id: { $in: lessonList.lessonIds }, ...notDeleted })
+        .toArray();
+      const lessonsById = new Map(
+        lessons.map((lesson) => [lesson._id.toString(), lesson])
+      );
+      return lessonList.lessonIds
+        .map((id) => lessonsById.get(id.toString()))
+        .filter((lesson) => lesson && canViewLesson(lesson, viewer));
+    };
+    // lesson ids are only shown to the owner, who needs them to reorder
+    const presentLessonList = (lessonList, viewer) => {
+      const { lessonIds, ...rest } = lessonList;
+      return {
+        ...rest,
+        lessonCount: lessonIds.length,
+        ...(lessonList.ownerEmail === viewer.email && { lessonIds }),
+      };
+    };
+    const hasLesson = (lessonList, lessonId) =>
+      lessonList.lessonIds.some((id) => id.equals(lessonId));
+
+    // the lesson has to be one the owner can see, and their own on a path
+    const loadListLesson = async (kind, lessonId, viewer) => {
+      if (!ObjectId.isValid(lessonId)) return null;
+      const lesson = await lessonsCollection.findOne({
+        _id: new ObjectId(lessonId),
+        ...notDeleted,
+      });
+      if (!lesson || !canViewLesson(lesson, viewer)) return null;
+      if (
+        lessonListKinds[kind].ownLessonsOnly &&
+        lesson.creator?.email !== viewer.email
+      ) {
+        return null;
+      }
+      return lesson;
+    };
+
+    for (const kind of Object.keys(lessonListKinds)) {
+      const { collection, label } = lessonListKinds[kind];
+
+      app.post(
+        `/${kind}`,
+        verifyJWT,
+        validateBody(collectionSchema),
+        async (req, res) => {
+          try {
+            if (req.body.coverLessonId) {
+              return sendValidationErrors(res, [
+                {
+                  field: "coverLessonId",
+                  message: "must be one of the lessons",
+                },
+              ]);
+            }
+            const now = new Date();
+            const lessonList = {
+              ...req.body,
+              lessonIds: [],
+              ownerEmail: req.tokenEmail,
+              createdAt: now,
+              updatedAt: now,
+            };
+            const result = await collection.insertOne(lessonList);
+            res.status(201).json({
+              message: `${label} created`,
+              result: { ...lessonList, _id: result.insertedId },
+            });
+          } catch (error) {
+            res.status(400).json({
+              message: `Failed to create ${label}`,
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      // ?owner= lists one user's, without it a signed in user gets their own
+      // and everyone else all public ones
+      app.get(`/${kind}`, optionalJWT, async (req, res) => {
+        try {
+          const list = readListQuery(req.query, lessonListSorts, "newest");
+          if (list.error) return sendListError(res, list);
+          const viewer = await getViewer(req);
+          const owner = req.query.owner || viewer.email;
+          const query = owner ? { ownerEmail: owner } : {};
+          if (owner !== viewer.email && !viewer.isAdmin) {
+            query.visibility = "public";
+          }
+          const { page, ...pagination } = await findPage(
+            collection,
+            query,
+            list
+          );
+          res.status(200).json(
+            listResponse(
+              `${label}s`,
+              page.map((lessonList) => presentLessonList(lessonList, viewer)),
+              pagination
+            )
+          );
+        } catch (error) {
+          res.status(500).json({
+            message: `Can't get ${label}s`,
+            error: error.message,
+          });
+        }
+      });
+
+      app.get(
+        `/${kind}/:id`,
+        optionalJWT,
+        authorizeLessonList(kind, "view"),
+        async (req, res) => {
+          try {
+            const lessons = await loadListLessons(req.lessonList, req.viewer);
+            const cover = req.lessonList.coverLessonId
+              ? lessons.find((lesson) =>
+                  lesson._id.equals(req.lessonList.coverLessonId)
+                )
+              : null;
+            res.status(200).json({
+              message: label,
+              result: {
+                ...presentLessonList(req.lessonList, req.viewer),
+                cover: cover ? presentLesson(cover, req.viewer) : null,
+                lessons: presentLessons(lessons, req.viewer),
+              },
+            });
+          } catch (error) {
+            res.status(500).json({
+              message: `Can't get ${label}`,
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      app.patch(
+        `/${kind}/:id`,
+        verifyJWT,
+        authorizeLessonList(kind, "owner"),
+        async (req, res) => {
+          try {
+            // an explicit null clears the cover, validation drops nulls
+            const clearCover = req.body?.coverLessonId === null;
+            const { value: update, errors } = validate(
+              collectionSchema,
+              req.body,
+              { partial: true }
+            );
+            if (errors.length) {
+              return sendValidationErrors(res, errors);
+            }
+            if (
+              update.coverLessonId &&
+              !hasLesson(req.lessonList, new ObjectId(update.coverLessonId))
+            ) {
+              return sendValidationErrors(res, [
+                {
+                  field: "coverLessonId",
+                  message: "must be one of the lessons",
+                },
+              ]);
+            }
+            if (update.coverLessonId) {
+              update.coverLessonId = new ObjectId(update.coverLessonId);
+            }
+            const result = await collection.updateOne(
+              { _id: req.lessonList._id },
+              {
+                $set: { ...update, updatedAt: new Date() },
+                ...(clearCover && { $unset: { coverLessonId: "" } }),
+              }
+            );
+            res.status(200).json({ message: `${label} updated`, result });
+          } catch (error) {
+            res.status(400).json({
+              message: `Failed to update ${label}`,
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      app.delete(
+        `/${kind}/:id`,
+        verifyJWT,
+        authorizeLessonList(kind, "manage"),
+        async (req, res) => {
+          try {
+            const result = await collection.deleteOne({
+              _id: req.lessonList._id,
+            });
+            if (req.lessonList.ownerEmail !== req.tokenEmail) {
+              await audit(req, {
+                action: `${kind}.delete`,
+                targetType: kind,
+                targetId: req.lessonList._id,
+                before: pickFields(req.lessonList, [
+                  "name",
+                  "ownerEmail",
+                  "visibility",
+                ]),
+              });
+            }
+            res.status(200).json({ message: `${label} deleted`, result });
+          } catch (error) {
+            res.status(400).json({
+              message: `Failed to delete ${label}`,
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      // adds at `position` (0 based) or at the end
+      app.post(
+        `/${kind}/:id/lessons`,
+        verifyJWT,
+        authorizeLessonList(kind, "owner"),
+        async (req, res) => {
+          try {
+            const { lessonId, position } = req.body || {};
+            const lesson = await loadListLesson(kind, lessonId, req.viewer);
+            if (!lesson) {
+              return res.status(404).json({
+                message: lessonListKinds[kind].ownLessonsOnly
+                  ? "Lesson not found among your lessons"
+                  : "Lesson not found",
+              });
+            }
+            if (
+              position !== undefined &&
+              (!Number.isInteger(position) || position < 0)
+            ) {
+              return sendValidationErrors(res, [
+                { field: "position", message: "must be a whole number" },
+              ]);
+            }
+            // the filter keeps duplicates and overfull lists out even when
+            // two adds race
+            const result = await collection.updateOne(
+              {
+                _id: req.lessonList._id,
+                lessonIds: { $ne: lesson._id },
+                [`lessonIds.${lessonListLimit - 1}`]: { $exists: false },
+              },
+              {
+                $push: {
+                  lessonIds: {
+                    $each: [lesson._id],
+                    ...(position !== undefined && { $position: position }),
+                  },
+                },
+                $set: { updatedAt: new Date() },
+              }
+            );
+            if (!result.modifiedCount) {
+              return res.status(409).json({
+                message: hasLesson(req.lessonList, lesson._id)
+                  ? `Lesson is already in this ${label}`
+                  : `A ${label} holds at most ${lessonListLimit} lessons`,
+              });
+            }
+            res.status(200).json({ message: "Lesson added", result });
+          } catch (error) {
+            res.status(400).json({
+              message: "Failed to add lesson",
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      app.delete(
+        `/${kind}/:id/lessons/:lessonId`,
+        verifyJWT,
+        authorizeLessonList(kind, "owner"),
+        async (req, res) => {
+          try {
+            const lessonId = req.params.lessonId;
+            if (
+              !ObjectId.isValid(lessonId) ||
+              !hasLesson(req.lessonList, new ObjectId(lessonId))
+            ) {
+              return res
+                .status(404)
+                .json({ message: `Lesson not found in this ${label}` });
+            }
+            const id = new ObjectId(lessonId);
+            const isCover = req.lessonList.coverLessonId?.equals(id);
+            const result = await collection.updateOne(
+              { _id: req.lessonList._id },
+              {
+                $pull: { lessonIds: id },
+                $set: { updatedAt: new Date() },
+                ...(isCover && { $unset: { coverLessonId: "" } }),
+              }
+            );
+            res.status(200).json({ message: "Lesson removed", result });
+          } catch (error) {
+            res.status(400).json({
+              message: "Failed to remove lesson",
+              error: error.message,
+            });
+          }
+        }
+      );
+
+      // takes every lesson id of the list in the new order
+      app.patch(
+        `/${kind}/:id/order`,
+        verifyJWT,
+        authorizeLessonList(kind, "owner"),
+        async (req, res) => {
+          try {
+            const lessonIds = req.body?.lessonIds;
+            const current = req.lessonList.lessonIds.map((id) => id.toString());
+            if (
+              !Array.isArray(lessonIds) ||
+              lessonIds.length !== current.length ||
+              new Set(lessonIds).size !== current.length ||
+              !lessonIds.every((id) => current.includes(id))
+            ) {
+              return sendValidationErrors(res, [
+                {
+                  field: "lessonIds",
+                  message: `must list each lesson of the ${label} once`,
+                },
+              ]);
+            }
+            // only reorder the list that was checked, a concurrent add or
+            // remove makes this one fail instead of dropping lessons
+            const result = await collection.updateOne(
+              { _id: req.lessonList._id, lessonIds: req.lessonList.lessonIds },
+              {
+                $set: {
+                  lessonIds: lessonIds.map((id) => new ObjectId(id)),
+                  updatedAt: new Date(),
+                },
+              }
+            );
+            if (!result.matchedCount) {
+              return res.status(409).json({
+                message: `The ${label} changed, reload it and try again`,
+              });
+            }
+            res.status(200).json({ message: "Lessons reordered", result });
+          } catch (error) {
+            res.status(400).json({
+              message: "Failed to reorder lessons",
+              error: error.message,
+            });
+          }
+        }
+      );
+    }
+
+    // one step of a learning path with its neighbours, skipping lessons the
+    // reader can't see
+    app.get(
+      "/paths/:id/lessons/:lessonId",
+      optionalJWT,
+      authorizeLessonList("paths", "view"),
+      async (req, res) => {
+        try {
+          const lessons = await loadListLessons(req.lessonList, req.viewer);
+          const index = lessons.findIndex(
+            (lesson) => lesson._id.toString() === req.params.lessonId
+          );
+          if (index === -1) {
+            return res
+              .status(404)
+              .json({ message: "Lesson not found in this Learning path" });
+          }
+          const step = (lesson) =>
+            lesson ? { _id: lesson._id, title: lesson.title } : null;
+          res.status(200).json({
+            message: "Learning path step",
+            result: {
+              path: { _id: req.lessonList._id, name: req.lessonList.name },
+              lesson: presentLesson(lessons[index], req.viewer),
+              position: index + 1,
+              total: lessons.length,
+              previous: step(lessons[index - 1]),
+              next: step(lessons[index + 1]),
+            },
+          });
+        } catch (error) {
+          res.status(500).json({
+            message: "Can't get learning path step",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    // creator profiles
+    app.get("/creators/:id", optionalJWT, async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "Creator not found" });
+        }
+        const list = readListQuery(req.query, sortPresets, "newest");
+        if (list.error) return sendListError(res, list);
+        const user = await userCollection.findOne({ _id: new ObjectId(id) });
+        if (!user) {
+          return res.status(404).json({ message: "Creator not found" });
+        }
+        const viewer = await getViewer(req);
+        const query = publicLessonQuery({ "creator.email": user.email });
+        const [stats] = await lessonsCollection
+          .aggregate([
+            { $match: query },
+            {
+              $group: {
+                _id: null,
+                publicLessons: { $sum: 1 },
+                totalLikes: { $sum: { $ifNull: ["$likeCount", 0] } },
+              },
+            },
+          ])
+          .toArray();
+        const { page, ...pagination } = await findPage(
+          lessonsCollection,
+          query,
+          list
+        );
+        res.status(200).json(
+          listResponse(
+            "Creator profile",
+            presentLessons(page, viewer),
+            pagination,
+            {
+              creator: {
+                _id: user._id,
+                name: user.name,
+                photoURL: user.photoURL,
+                bio: user.bio,
+                joinedAt: user.create_at,
+                followers: user.followerCount || 0,
+                following: user.followingCount || 0,
+                publicLessons: stats?.publicLessons || 0,
+                totalLikes: stats?.totalLikes || 0,
+              },
+            }
+          )
+        );
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get creator profile",
+          error: error.message,
+        });
+      }
+    });
+
+    // Users api
+    app.post(
+      "/users",
+      optionalJWT,
+      validateBody(userSchema),
+      async (req, res) => {
+        try {
+          const user = req.body;
+          user.create_at = new Date();
+          user.role = "user";
+          const email = user.email;
+          const existingUser = await userCollection.findOne({ email: email });
+          if (existingUser) {
+            // anyone can post an email here, so only its owner gets the
+            // whole document back
+            return res.status(200).json({
+              message: "User already exists",
+              user: presentUser(existingUser, await getViewer(req)),
+            });
+          }
+          // clients post here on every login, only new accounts count
+          // against the signup limit
+          if (await overRateLimit("signup", req, res)) return;
+          const result = await userCollection.insertOne(user);
+          res.status(201).json({
+            message: "Data is stored to database",
+            result,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Can't store users data to database",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    app.get("/users", verifyJWT, async (req, res) => {
+      try {
+        const list = readListQuery(
+          req.query,
+          {
+            newest: { create_at: -1, _id: -1 },
+            oldest: { create_at: 1, _id: 1 },
+            name: { name: 1, _id: 1 },
+          },
+          "newest"
+        );
+        if (list.error) return sendListError(res, list);
+        let query = { email: { $ne: req.tokenEmail } };
+        const { page, ...pagination } = await findPage(
+          userCollection,
+          query,
+          list
+        );
+        res
+          .status(200)
+          .json(
+            listResponse(
+              "all users",
+              presentUsers(page, await getViewer(req)),
+              pagination
+            )
+          );
       } catch (error) {
         res.status(400).json({
           message: "Can't get users data from database",
@@ -637,17 +4536,36 @@ async function run() {
         });
       }
     });
-    app.patch("users/:id/role", verifyJWT, verifyAdmin, async (req, res) => {
+    app.patch("/users/:id/role", verifyJWT, verifyAdmin, async (req, res) => {
       try {
         const id = req.params.id;
-        const data = req.body;
+        const data = req.body || {};
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        if (!userRoles.includes(data.role)) {
+          return res.status(400).json({
+            message: `role must be one of ${userRoles.join(", ")}`,
+          });
+        }
         const query = { _id: new ObjectId(id) };
         const updateDoc = {
           $set: {
             role: data.role,
           },
         };
+        const before = await userCollection.findOne(query);
+        if (!before) {
+          return res.status(404).json({ message: "User not found" });
+        }
         const result = await userCollection.updateOne(query, updateDoc);
+        await audit(req, {
+          action: "user.role",
+          targetType: "user",
+          targetId: query._id,
+          before: pickFields(before, ["role"]),
+          after: { role: data.role },
+        });
         res.status(200).json({
           message: "User role updated",
           result,
@@ -659,14 +4577,20 @@ async function run() {
         });
       }
     });
-    app.get("/users/:email/role", async (req, res) => {
+    app.get("/users/:email/role", optionalJWT, async (req, res) => {
       try {
         const email = req.params.email;
+        const viewer = await getViewer(req);
+        // role and subscription are private to the user and admins
+        if (viewer.email !== email && !viewer.isAdmin) {
+          return res.status(403).json({ message: "Forbidden access" });
+        }
         const query = { email: email };
         const user = await userCollection.findOne(query);
         res.status(200).json({
           role: user?.role || "user",
-          isPremium: user?.isPremium || false,
+          isPremium: hasActiveEntitlement(user),
+          subscription: user?.subscription || null,
         });
       } catch (error) {
         res.status(400).json({
@@ -679,14 +4603,27 @@ async function run() {
     app.patch("/users", verifyJWT, async (req, res) => {
       try {
         const email = req.tokenEmail;
-
-        const query = {};
-        if (email) {
-          query.email = email;
+        const { update, rejected } = pickAllowedFields(
+          req.body,
+          userFieldPolicy.user
+        );
+        if (rejected.length) {
+          return sendRejectedFields(res, rejected);
+        }
+        const { value, errors } = validate(userSchema, update, {
+          partial: true,
+        });
+        if (errors.length) {
+          return sendValidationErrors(res, errors);
         }
+
+        const query = { email: email };
         const result = await userCollection.updateOne(query, {
-          $set: req.body,
+          $set: value,
         });
+        if (!result.matchedCount) {
+          return res.status(404).json({ message: "User not found" });
+        }
         res.status(200).json({
           message: "Update Profile",
           result,
@@ -702,10 +4639,61 @@ async function run() {
     app.patch("/user/:id", verifyJWT, verifyAdmin, async (req, res) => {
       try {
         const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        const { update, rejected } = pickAllowedFields(
+          req.body,
+          userFieldPolicy.admin
+        );
+        if (rejected.length) {
+          return sendRejectedFields(res, rejected);
+        }
+        if ("role" in update && !userRoles.includes(update.role)) {
+          return res.status(400).json({
+            message: `role must be one of ${userRoles.join(", ")}`,
+          });
+        }
+        // profile fields get the same checks as PATCH /users
+        const { value: profile, errors } = validate(userSchema, update, {
+          partial: true,
+        });
+        if (errors.length) {
+          return sendValidationErrors(res, errors);
+        }
+        if (
+          "premiumOverride" in update &&
+          update.premiumOverride !== null &&
+          typeof update.premiumOverride !== "boolean"
+        ) {
+          return res.status(400).json({
+            message: "premiumOverride must be true, false or null",
+          });
+        }
         const query = { _id: new ObjectId(id) };
+        const { premiumOverride } = update;
+        const fields = {
+          ...profile,
+          ...("role" in update && { role: update.role }),
+        };
+        const updateDoc = { $set: fields };
+        if (premiumOverride === null) {
+          updateDoc.$unset = { premiumOverride: "" };
+        } else if (premiumOverride !== undefined) {
+          fields.premiumOverride = premiumOverride;
+        }
 
-        const result = await userCollection.updateOne(query, {
-          $set: req.body,
+        const before = await userCollection.findOneAndUpdate(query, updateDoc);
+        if (!before) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        const result = { matchedCount: 1, modifiedCount: 1 };
+        await audit(req, {
+          action: update.role ? "user.role" : "user.update",
+          targetType: "user",
+          targetId: before._id,
+          before: pickFields(before, Object.keys(update)),
+          after: update,
         });
         res.status(200).json({
           message: "Update Profile",
@@ -719,22 +4707,408 @@ async function run() {
       }
     });
 
+    // user moderation
+    app.get("/admin/users", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const { search, role, premium, status } = req.query;
+        const list = readListQuery(
+          req.query,
+          {
+            newest: { create_at: -1, _id: -1 },
+            oldest: { create_at: 1, _id: 1 },
+            name: { name: 1, _id: 1 },
+          },
+          "newest"
+        );
+        if (list.error) return sendListError(res, list);
+        if (role && !userRoles.includes(role)) {
+          return res
+            .status(400)
+            .json({ message: `role must be one of ${userRoles.join(", ")}` });
+        }
+        if (status && !accountStatuses.includes(status)) {
+          return res.status(400).json({
+            message: `status must be one of ${accountStatuses.join(", ")}`,
+          });
+        }
+        const filters = [];
+        if (search) {
+          const pattern = new RegExp(escapeRegex(search.trim()), "i");
+          filters.push({ $or: [{ name: pattern }, { email: pattern }] });
+        }
+        if (role) {
+          // users from before roles were stored count as plain users
+          filters.push(
+            role === "user" ? { role: { $ne: "admin" } } : { role: role }
+          );
+        }
+        if (premium === "true" || premium === "false") {
+          const premiumQuery = entitlementQuery();
+          filters.push(
+            premium === "true" ? premiumQuery : { $nor: [premiumQuery] }
+          );
+        }
+        const now = new Date();
+        const suspended = { status: "suspended", suspendedUntil: { $gt: now } };
+        if (status === "banned") {
+          filters.push({ status: "banned" });
+        } else if (status === "suspended") {
+          filters.push(suspended);
+        } else if (status === "active") {
+          filters.push({ $nor: [{ status: "banned" }, suspended] });
+        }
+        const query = filters.length ? { $and: filters } : {};
+        const { page, ...pagination } = await findPage(
+          userCollection,
+          query,
+          list
+        );
+        const result = page.map((user) => ({
+          ...user,
+          isPremium: hasActiveEntitlement(user),
+          restriction: restrictionOf(user),
+        }));
+        res.status(200).json(listResponse("Users", result, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get users",
+          error: error.message,
+        });
+      }
+    });
+
+    // admins are left alone here, demote them first
+    const loadManagedUser = async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        const user = await userCollection.findOne({ _id: new ObjectId(id) });
+        if (!user) {
+          return res.status(404).json({ message: "User not found" });
+        }
+        if (user.role === "admin") {
+          return res
+            .status(400)
+            .json({ message: "Admins can't be suspended or banned" });
+        }
+        req.targetUser = user;
+        next();
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't find user",
+          error: error.message,
+        });
+      }
+    };
+    const accountActions = {
+      suspend: "suspended",
+      ban: "banned",
+      unban: "active",
+    };
+    const setAccountStatus = async (req, action, fields = {}) => {
+      const user = req.targetUser;
+      const after = {
+        status: accountActions[action],
+        statusReason: req.body.reason,
+        suspendedUntil: null,
+        ...fields,
+      };
+      const result = await userCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            ...after,
+            statusChangedAt: new Date(),
+            statusChangedBy: req.tokenEmail,
+          },
+        }
+      );
+      await audit(req, {
+        action: `user.${action}`,
+        targetType: "user",
+        targetId: user._id,
+        before: pickFields(user, ["status", "statusReason", "suspendedUntil"]),
+        after: after,
+      });
+      return result;
+    };
+
+    app.patch(
+      "/admin/users/:id/suspend",
+      verifyJWT,
+      verifyAdmin,
+      loadManagedUser,
+      validateBody(accountActionSchema),
+      async (req, res) => {
+        try {
+          if (!req.body.until || req.body.until <= new Date()) {
+            return sendValidationErrors(res, [
+              { field: "until", message: "must be a date in the future" },
+            ]);
+          }
+          if (req.targetUser.status === "banned") {
+            return res
+              .status(409)
+              .json({ message: "User is banned, unban them first" });
+          }
+          const result = await setAccountStatus(req, "suspend", {
+            suspendedUntil: req.body.until,
+          });
+          res.status(200).json({ message: "User suspended", result });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to suspend user",
+            error: error.message,
+          });
+        }
+      }
+    );
+    app.patch(
+      "/admin/users/:id/ban",
+      verifyJWT,
+      verifyAdmin,
+      loadManagedUser,
+      validateBody(accountActionSchema),
+      async (req, res) => {
+        try {
+          const result = await setAccountStatus(req, "ban");
+          // hidden the same way reported lessons are, so unban can tell
+          // which ones to bring back
+          let hiddenLessons = 0;
+          if (req.body.hideLessons) {
+            const hidden = await lessonsCollection.updateMany(
+              { "creator.email": req.targetUser.email, hidden: { $ne: true } },
+              {
+                $set: {
+                  hidden: true,
+                  hiddenReason: "ban",
+                  hiddenAt: new Date(),
+                },
+              }
+            );
+            hiddenLessons = hidden.modifiedCount;
+          }
+          res
+            .status(200)
+            .json({ message: "User banned", result, hiddenLessons });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to ban user",
+            error: error.message,
+          });
+        }
+      }
+    );
+    // lifts a ban or a suspension
+    app.patch(
+      "/admin/users/:id/unban",
+      verifyJWT,
+      verifyAdmin,
+      loadManagedUser,
+      validateBody(accountActionSchema),
+      async (req, res) => {
+        try {
+          if (!restrictionOf(req.targetUser)) {
+            return res
+              .status(409)
+              .json({ message: "User is not banned or suspended" });
+          }
+          const result = await setAccountStatus(req, "unban");
+          const shown = await lessonsCollection.updateMany(
+            { "creator.email": req.targetUser.email, hiddenReason: "ban" },
+            {
+              $set: { hidden: false },
+              $unset: { hiddenReason: "", hiddenAt: "" },
+            }
+          );
+          res.status(200).json({
+            message: "User unbanned",
+            result,
+            shownLessons: shown.modifiedCount,
+          });
+        } catch (error) {
+          res.status(400).json({
+            message: "Failed to unban user",
+            error: error.message,
+          });
+        }
+      }
+    );
+
+    // plans api
+    const planIntervals = ["month", "year", "lifetime"];
+    // used when a client checks out without picking a plan
+    const defaultPlan = {
+      name: "Premium Lifetime",
+      interval: "lifetime",
+      price: 150000,
+      currency: "bdt",
+    };
+    const pickPlanFields = (body) => {
+      const plan = {};
+      [
+        "name",
+        "description",
+        "interval",
+        "price",
+        "currency",
+        "active",
+      ].forEach((field) => {
+        if (body[field] !== undefined) plan[field] = body[field];
+      });
+      ["name", "description", "currency"].forEach((field) => {
+        if (plan[field] !== undefined && typeof plan[field] !== "string") {
+          throw new Error(`${field} must be a string`);
+        }
+      });
+      if (plan.name !== undefined && !plan.name.trim()) {
+        throw new Error("name must not be empty");
+      }
+      if (plan.active !== undefined && typeof plan.active !== "boolean") {
+        throw new Error("active must be true or false");
+      }
+      if (plan.interval && !planIntervals.includes(plan.interval)) {
+        throw new Error(`interval must be one of ${planIntervals.join(", ")}`);
+      }
+      if (plan.price !== undefined) {
+        plan.price = Number(plan.price);
+        if (!Number.isInteger(plan.price) || plan.price <= 0) {
+          throw new Error("price must be a positive integer in minor units");
+        }
+      }
+      if (plan.currency) plan.currency = plan.currency.toLowerCase();
+      return plan;
+    };
+
+    app.get("/plans", async (req, res) => {
+      try {
+        const list = readListQuery(
+          req.query,
+          { price: { price: 1, _id: 1 } },
+          "price"
+        );
+        if (list.error) return sendListError(res, list);
+        const { page, ...pagination } = await findPage(
+          plansCollection,
+          { active: true },
+          list
+        );
+        res.status(200).json(listResponse("Active plans", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get plans",
+          error: error.message,
+        });
+      }
+    });
+    app.get("/admin/plans", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const list = readListQuery(req.query, sortPresets, "newest");
+        if (list.error) return sendListError(res, list);
+        const { page, ...pagination } = await findPage(
+          plansCollection,
+          {},
+          list
+        );
+        res.status(200).json(listResponse("All plans", page, pagination));
+      } catch (error) {
+        res.status(500).json({
+          message: "Can't get plans",
+          error: error.message,
+        });
+      }
+    });
+    app.post("/plans", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const plan = pickPlanFields(req.body);
+        if (!plan.name || !plan.interval || !plan.price) {
+          return res.status(400).json({
+            message: "name, interval and price are required",
+          });
+        }
+        plan.currency = plan.currency || "bdt";
+        plan.active = plan.active ?? true;
+        plan.createdAt = new Date();
+        const result = await plansCollection.insertOne(plan);
+        await audit(req, {
+          action: "plan.create",
+          targetType: "plan",
+          targetId: result.insertedId,
+          after: plan,
+        });
+        res.status(201).json({ message: "Plan created", result });
+      } catch (error) {
+        res.status(400).json({
+          message: "Can't create plan",
+          error: error.message,
+        });
+      }
+    });
+    app.patch("/plans/:id", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        const query = { _id: new ObjectId(id) };
+        const update = pickPlanFields(req.body);
+        update.updatedAt = new Date();
+        const before = await plansCollection.findOneAndUpdate(query, {
+          $set: update,
+        });
+        if (!before) {
+          return res.status(404).json({ message: "Plan not found" });
+        }
+        const result = { matchedCount: 1, modifiedCount: 1 };
+        await audit(req, {
+          action: "plan.update",
+          targetType: "plan",
+          targetId: before._id,
+          before: pickFields(before, Object.keys(update)),
+          after: update,
+        });
+        res.status(200).json({ message: "Plan updated", result });
+      } catch (error) {
+        res.status(400).json({
+          message: "Can't update plan",
+          error: error.message,
+        });
+      }
+    });
+
     // payment api
     app.post("/create-checkout-session", verifyJWT, async (req, res) => {
       try {
         const email = req.tokenEmail;
-        const session = await stripe.checkout.sessions.create({
-          mode: "payment",
+        let plan = defaultPlan;
+        if (req.body?.planId) {
+          plan = await plansCollection.findOne({
+            _id: new ObjectId(req.body.planId),
+            active: true,
+          });
+          if (!plan) {
+            return res.status(404).json({ message: "Plan not found" });
+          }
+        }
+        const recurring = plan.interval !== "lifetime";
+        const metadata = {
+          userEmail: email,
+          plan: plan.name,
+          planId: plan._id ? plan._id.toString() : "",
+          interval: plan.interval,
+        };
+        const sessionData = {
+          mode: recurring ? "subscription" : "payment",
           payment_method_types: ["card"],
 
           line_items: [
             {
               price_data: {
-                currency: "bdt",
+                currency: plan.currency,
                 product_data: {
-                  name: "Digital Life Lessons – Premium Plan (Lifetime Access)",
+                  name: `Digital Life Lessons – ${plan.name}`,
                 },
-                unit_amount: 150000,
+                unit_amount: plan.price,
+                ...(recurring && { recurring: { interval: plan.interval } }),
               },
               quantity: 1,
             },
@@ -742,14 +5116,19 @@ async function run() {
 
           customer_email: email,
 
-          metadata: {
-            userEmail: email,
-            plan: "Premium Lifetime",
-          },
+          metadata: metadata,
 
           success_url: `${process.env.CLIENT_URL}/upgrade/success?session_id={CHECKOUT_SESSION_ID}`,
           cancel_url: `${process.env.CLIENT_URL}/upgrade/cancel`,
-        });
+        };
+        // neither subscription nor payment intent events carry the
+        // session metadata
+        if (recurring) {
+          sessionData.subscription_data = { metadata: metadata };
+        } else {
+          sessionData.payment_intent_data = { metadata: metadata };
+        }
+        const session = await stripe.checkout.sessions.create(sessionData);
 
         res.send({ url: session.url });
       } catch (error) {
@@ -758,41 +5137,376 @@ async function run() {
           .send({ error: "Failed to create Stripe checkout session" });
       }
     });
-    app.patch("/session-status", async (req, res) => {
+    app.post("/subscription/cancel", verifyJWT, async (req, res) => {
       try {
-        const sessionId = req.query.session_id;
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
-        const transactionId = session.payment_intent;
-        const query = { transactionId: transactionId };
-        const existingPayment = await userCollection.findOne(query);
-        if (existingPayment) {
-          return res.send({
-            success: false,
-            message: "Payment already processed",
-            transactionId: transactionId,
-          });
+        const user = await userCollection.findOne({ email: req.tokenEmail });
+        const subscriptionId = user?.subscription?.stripeSubscriptionId;
+        if (!subscriptionId) {
+          return res
+            .status(404)
+            .json({ message: "No recurring subscription found" });
+        }
+        // access stays until the paid period ends
+        const subscription = await stripe.subscriptions.update(subscriptionId, {
+          cancel_at_period_end: true,
+        });
+        await syncSubscription(subscription);
+        res.status(200).json({ message: "Subscription will be canceled" });
+      } catch (error) {
+        res.status(500).json({
+          message: "Failed to cancel subscription",
+          error: error.message,
+        });
+      }
+    });
+    // stripe webhook helpers
+    // premiumSince is when a user first became premium, $min keeps it from
+    // moving on later grants and redelivered events
+    const grantPremium = async (email, metadata = {}) => {
+      if (!email) return;
+      await userCollection.updateOne(
+        { email: email },
+        {
+          $min: { premiumSince: new Date() },
+          $set: {
+            isPremium: true,
+            subscription: {
+              planId: metadata.planId || null,
+              plan: metadata.plan || defaultPlan.name,
+              interval: "lifetime",
+              status: "active",
+              currentPeriodEnd: null,
+              cancelAtPeriodEnd: false,
+            },
+          },
+        }
+      );
+    };
+
+    const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+    // mirrors a stripe subscription onto the user it was bought by
+    const syncSubscription = async (subscription) => {
+      const metadata = subscription.metadata || {};
+      const item = subscription.items?.data?.[0];
+      const periodEnd =
+        subscription.current_period_end ?? item?.current_period_end;
+      const query = metadata.userEmail
+        ? { email: metadata.userEmail }
+        : { "subscription.stripeSubscriptionId": subscription.id };
+      const user = await userCollection.findOne(query);
+      // a lifetime plan outranks any recurring one
+      if (!user || user.subscription?.interval === "lifetime") return;
+      await userCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            subscription: {
+              planId: metadata.planId || null,
+              plan: metadata.plan || user.subscription?.plan,
+              interval:
+                metadata.interval || item?.price?.recurring?.interval || null,
+              status: subscription.status,
+              stripeSubscriptionId: subscription.id,
+              stripeCustomerId: subscription.customer,
+              currentPeriodEnd: toDate(periodEnd),
+              cancelAtPeriodEnd: subscription.cancel_at_period_end || false,
+              canceledAt: toDate(subscription.canceled_at),
+              updatedAt: new Date(),
+            },
+          },
+          ...(activeSubscriptionStatuses.includes(subscription.status) && {
+            $min: {
+              premiumSince: toDate(subscription.start_date) || new Date(),
+            },
+          }),
+        }
+      );
+    };
+
+    // renewals don't go through checkout, so record them from the invoice
+    const recordInvoice = async (invoice) => {
+      const subscriptionId =
+        invoice.subscription ||
+        invoice.parent?.subscription_details?.subscription;
+      const metadata =
+        invoice.subscription_details?.metadata ||
+        invoice.parent?.subscription_details?.metadata ||
+        {};
+      const now = new Date();
+      await paymentsCollection.updateOne(
+        { invoiceId: invoice.id },
+        {
+          $set: {
+            subscriptionId: subscriptionId,
+            email: metadata.userEmail || invoice.customer_email,
+            amount: invoice.amount_paid,
+            currency: invoice.currency,
+            plan: metadata.plan,
+            status: "succeeded",
+            updatedAt: now,
+          },
+          $setOnInsert: { invoiceId: invoice.id, createdAt: now },
+        },
+        { upsert: true }
+      );
+      if (subscriptionId) {
+        await syncSubscription(
+          await stripe.subscriptions.retrieve(subscriptionId)
+        );
+      }
+    };
+
+    const recordCheckoutSession = async (session, status) => {
+      const email =
+        session.metadata?.userEmail || session.customer_details?.email;
+      const now = new Date();
+      if (session.mode === "subscription") {
+        // the first charge is also an invoice.paid, so the session shares
+        // the invoice's ledger row instead of adding a second one. The
+        // invoice owns the amount and status.
+        if (session.invoice) {
+          await paymentsCollection.updateOne(
+            { invoiceId: session.invoice },
+            {
+              $set: {
+                sessionId: session.id,
+                subscriptionId: session.subscription || null,
+                email: email,
+                plan: session.metadata?.plan,
+                updatedAt: now,
+              },
+              $setOnInsert: {
+                amount: session.amount_total,
+                currency: session.currency,
+                status: status,
+                createdAt: now,
+              },
+            },
+            { upsert: true }
+          );
         }
-        if (session.payment_status === "paid") {
-          const userQuery = { email: session.customer_details.email };
-          const update = {
+      } else {
+        // the payment intent's events can come first and start the row
+        await paymentsCollection.updateOne(
+          session.payment_intent
+            ? { paymentIntentId: session.payment_intent }
+            : { sessionId: session.id },
+          {
             $set: {
-              isPremium: true,
-              transactionId: transactionId,
+              sessionId: session.id,
+              paymentIntentId: session.payment_intent,
+              subscriptionId: null,
+              email: email,
+              amount: session.amount_total,
+              currency: session.currency,
+              plan: session.metadata?.plan,
+              status: status,
+              updatedAt: now,
             },
-          };
-          const result = await userCollection.updateOne(userQuery, update);
-          res.status(200).json({
-            success: true,
-            transactionId: transactionId,
-            result,
+            $setOnInsert: { createdAt: now },
+          },
+          { upsert: true }
+        );
+      }
+      if (status !== "succeeded") return;
+      if (session.mode === "subscription") {
+        await syncSubscription(
+          await stripe.subscriptions.retrieve(session.subscription)
+        );
+      } else {
+        await grantPremium(email, session.metadata);
+      }
+    };
+
+    // one time checkouts put their metadata on the payment intent, so its
+    // events can start the ledger row when they beat the session. Intents
+    // without it belong to subscription invoices, which have their own row.
+    const recordPaymentIntent = async (paymentIntent, status) => {
+      const metadata = paymentIntent.metadata || {};
+      const now = new Date();
+      const payment = await paymentsCollection.findOneAndUpdate(
+        { paymentIntentId: paymentIntent.id },
+        {
+          $set: { status: status, updatedAt: now },
+          $setOnInsert: {
+            subscriptionId: null,
+            email: metadata.userEmail || paymentIntent.receipt_email,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            plan: metadata.plan,
+            createdAt: now,
+          },
+        },
+        { returnDocument: "after", upsert: !!metadata.userEmail }
+      );
+      if (payment && !payment.subscriptionId && status === "succeeded") {
+        await grantPremium(payment.email, { plan: payment.plan });
+      }
+    };
+
+    const handleStripeEvent = async (event) => {
+      const object = event.data.object;
+      switch (event.type) {
+        case "checkout.session.completed":
+          return recordCheckoutSession(
+            object,
+            object.payment_status === "unpaid" ? "pending" : "succeeded"
+          );
+        case "checkout.session.async_payment_succeeded":
+          return recordCheckoutSession(object, "succeeded");
+        case "checkout.session.async_payment_failed":
+        case "checkout.session.expired":
+          return recordCheckoutSession(object, "failed");
+        case "payment_intent.succeeded":
+          return recordPaymentIntent(object, "succeeded");
+        case "payment_intent.payment_failed":
+          return recordPaymentIntent(object, "failed");
+        case "customer.subscription.created":
+        case "customer.subscription.updated":
+        case "customer.subscription.deleted":
+          return syncSubscription(object);
+        case "invoice.paid":
+          return recordInvoice(object);
+      }
+    };
+
+    app.post(
+      "/stripe/webhook",
+      express.raw({ type: "application/json" }),
+      async (req, res) => {
+        let event;
+        try {
+          event = stripe.webhooks.constructEvent(
+            req.body,
+            req.headers["stripe-signature"],
+            process.env.STRIPE_WEBHOOK_SECRET
+          );
+        } catch (error) {
+          return res.status(400).json({
+            message: "Invalid stripe signature",
+            error: error.message,
+          });
+        }
+        try {
+          // the event id is the _id, so a redelivered event fails the insert
+          await stripeEventsCollection.insertOne({
+            _id: event.id,
+            type: event.type,
+            receivedAt: new Date(),
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(200).json({ received: true, duplicate: true });
+          }
+          return res.status(500).json({
+            message: "Failed to store stripe event",
+            error: error.message,
+          });
+        }
+        try {
+          await handleStripeEvent(event);
+          await stripeEventsCollection.updateOne(
+            { _id: event.id },
+            { $set: { processedAt: new Date() } }
+          );
+          res.status(200).json({ received: true });
+        } catch (error) {
+          // let stripe retry the event
+          await stripeEventsCollection.deleteOne({ _id: event.id });
+          res.status(500).json({
+            message: "Failed to process stripe event",
+            error: error.message,
           });
         }
+      }
+    );
+
+    // read only lookup, the webhook is what actually updates the payment
+    const getSessionStatus = async (req, res) => {
+      try {
+        const sessionId = req.query.session_id;
+        if (!sessionId) {
+          return res.status(400).json({ message: "session_id is required" });
+        }
+        const payment = await paymentsCollection.findOne({
+          sessionId: sessionId,
+        });
+        if (!payment) {
+          return res.status(200).json({
+            success: false,
+            status: "pending",
+            message: "Payment not confirmed yet",
+          });
+        }
+        res.status(200).json({
+          success: payment.status === "succeeded",
+          status: payment.status,
+          transactionId: payment.paymentIntentId,
+          plan: payment.plan,
+          amount: payment.amount,
+          currency: payment.currency,
+        });
       } catch (error) {
-        res
-          .status(500)
-          .send({ error: "Failed to retrieve Stripe checkout session" });
+        res.status(500).send({ error: "Failed to retrieve payment status" });
       }
-    });
+    };
+    app.get("/session-status", getSessionStatus);
+    // older clients still call this with PATCH
+    app.patch("/session-status", getSessionStatus);
+
+    // publishes scheduled lessons once they are due
+    const publishDueLessons = async () => {
+      try {
+        const result = await lessonsCollection.updateMany(
+          { status: "scheduled", publishAt: { $lte: new Date() } },
+          { $set: { status: "published", publishedAt: new Date() } }
+        );
+        if (result.modifiedCount) {
+          console.log(`Published ${result.modifiedCount} scheduled lessons`);
+        }
+      } catch (error) {
+        console.error("Scheduled publishing failed", error);
+      }
+    };
+    setInterval(
+      publishDueLessons,
+      Number(process.env.PUBLISH_INTERVAL_MS) || 60 * 1000
+    ).unref();
+
+    // hard deletes lessons that sat in the trash past the retention period,
+    // along with everything that points at them
+    const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+    const purgeBatchSize = 500;
+    const purgeTrash = async () => {
+      try {
+        const cutoff = new Date(
+          Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000
+        );
+        const ids = await lessonsCollection
+          .find({ deletedAt: { $lte: cutoff } }, { projection: { _id: 1 } })
+          .limit(purgeBatchSize)
+          .map((lesson) => lesson._id)
+          .toArray();
+        if (!ids.length) return;
+        const related = { lessonId: { $in: ids } };
+        await commentsCollection.deleteMany(related);
+        await reportsCollection.deleteMany(related);
+        await notificationsCollection.deleteMany(related);
+        await lessonActivityCollection.deleteMany(related);
+        await lessonRevisionsCollection.deleteMany(related);
+        const result = await lessonsCollection.deleteMany({
+          _id: { $in: ids },
+        });
+        console.log(`Purged ${result.deletedCount} trashed lessons`);
+      } catch (error) {
+        console.error("Trash purge failed", error);
+      }
+    };
+    setInterval(
+      purgeTrash,
+      Number(process.env.PURGE_INTERVAL_MS) || 60 * 60 * 1000
+    ).unref();
 
     // await client.db("admin").command({ ping: 1 });
     console.log(
@@ -804,6 +5518,48 @@ async function run() {
 }
 run().catch(console.dir);
 
+// Hands out tokens for any email, so it is only mounted when asked for with
+// AUTH_DEV_TOKENS=true in local mode, and never on a deployment.
+const isDeployed =
+  process.env.NODE_ENV === "production" || !!process.env.VERCEL;
+const devTokenMaxSeconds = 60 * 60;
+if (
+  process.env.AUTH_DEV_TOKENS === "true" &&
+  tokenVerifier.mode === "local" &&
+  !isDeployed
+) {
+  console.warn("AUTH_DEV_TOKENS is on, POST /dev/token mints tokens");
+  app.post("/dev/token", (req, res) => {
+    const { email, uid, expiresIn = devTokenMaxSeconds } = req.body || {};
+    const errors = [];
+    if (typeof email !== "string" || !email) {
+      errors.push({ field: "email", message: "is required" });
+    }
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn < 1 ||
+      expiresIn > devTokenMaxSeconds
+    ) {
+      errors.push({
+        field: "expiresIn",
+        message: `must be between 1 and ${devTokenMaxSeconds} seconds`,
+      });
+    }
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    try {
+      const token = tokenVerifier.sign({ uid, email }, expiresIn);
+      res.status(201).json({ message: "Token created", token });
+    } catch (error) {
+      res.status(400).json({
+        message: "Can't create token",
+        error: error.message,
+      });
+    }
+  });
+}
+
 app.get("/", (req, res) => {
   res.send("Hello from Server..");
 });
@@ -0,0 +1,73 @@
+// Moves the comments embedded in lessons into the comments collection and
+// removes the embedded arrays. Safe to run again, comments that were already
+// copied are matched instead of inserted twice.
+// usage: node migrateComments.js
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const client = new MongoClient(process.env.MONGODB_URI);
+
+async function run() {
+  try {
+    const database = client.db("digital-life-lessons");
+    const lessonsCollection = database.collection("lessons");
+    const commentsCollection = database.collection("comments");
+    const userCollection = database.collection("users");
+
+    const lessons = lessonsCollection.find(
+      { comments: { $exists: true } },
+      { projection: { comments: 1 } }
+    );
+    let movedLessons = 0;
+    let movedComments = 0;
+    for await (const lesson of lessons) {
+      for (const comment of lesson.comments || []) {
+        const createdAt = comment.createdAt
+          ? new Date(comment.createdAt)
+          : lesson._id.getTimestamp();
+        const user = await userCollection.findOne({ email: comment.email });
+        const result = await commentsCollection.updateOne(
+          {
+            lessonId: lesson._id,
+            "author.email": comment.email,
+            comment: comment.comment,
+            createdAt: createdAt,
+          },
+          {
+            $setOnInsert: {
+              parentId: null,
+              // author.email comes from the filter above
+              "author.name": comment.name || user?.name,
+              "author.photoURL": user?.photoURL,
+              likes: [],
+              likeCount: 0,
+              edits: [],
+            },
+          },
+          { upsert: true }
+        );
+        if (result.upsertedCount) movedComments++;
+      }
+      await lessonsCollection.updateOne(
+        { _id: lesson._id },
+        { $unset: { comments: "" } }
+      );
+      movedLessons++;
+    }
+    await commentsCollection.createIndex({
+      lessonId: 1,
+      parentId: 1,
+      createdAt: -1,
+      _id: -1,
+    });
+    console.log(
+      `Moved ${movedComments} comments out of ${movedLessons} lessons`
+    );
+  } finally {
+    await client.close();
+  }
+}
+run().catch((error) => {
+  console.dir(error);
+  process.exitCode = 1;
+});
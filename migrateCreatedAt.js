@@ -0,0 +1,54 @@
+// Converts createdAt (and the users' create_at) values that were stored as
+// strings or numbers into BSON dates, in every collection, so date range
+// queries see all documents. Safe to run again, dates are left alone.
+// usage: node migrateCreatedAt.js
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const client = new MongoClient(process.env.MONGODB_URI);
+
+const dateFields = ["createdAt", "create_at"];
+const notDate = ["string", "int", "long", "double", "decimal"];
+
+async function run() {
+  try {
+    const database = client.db("digital-life-lessons");
+    const collections = await database
+      .listCollections({}, { nameOnly: true })
+      .toArray();
+    for (const { name } of collections) {
+      if (name.startsWith("system.")) continue;
+      const collection = database.collection(name);
+      for (const field of dateFields) {
+        const query = { [field]: { $type: notDate } };
+        const result = await collection.updateMany(query, [
+          {
+            $set: {
+              // values that don't parse stay as they are and are counted below
+              [field]: {
+                $convert: {
+                  input: `$${field}`,
+                  to: "date",
+                  onError: `$${field}`,
+                },
+              },
+            },
+          },
+        ]);
+        const left = await collection.countDocuments(query);
+        if (result.modifiedCount || left) {
+          console.log(
+            `${name}.${field}: converted ${result.modifiedCount}, ${left} could not be parsed`
+          );
+        }
+      }
+    }
+    console.log("createdAt migration done");
+  } finally {
+    await client.close();
+  }
+}
+run().catch((error) => {
+  console.dir(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,18 @@
+// Mints a token for local auth mode, for trying the api without Firebase.
+// usage: node mintToken.js <email> [uid] [expiresIn]
+require("dotenv").config();
+const { createLocalVerifier } = require("./auth");
+
+const [email, uid, expiresIn = "1h"] = process.argv.slice(2);
+if (!email) {
+  console.error("usage: node mintToken.js <email> [uid] [expiresIn]");
+  process.exit(1);
+}
+
+try {
+  const verifier = createLocalVerifier();
+  console.log(verifier.sign({ uid, email }, expiresIn));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,308 @@
+// Document schemas shared by the api and the collection validator setup.
+// A field marked `server` is never taken from the request body, the server
+// sets it, but the mongo validator still checks it.
+
+const lessonCategories = [
+  "Personal Growth",
+  "Career",
+  "Relationships",
+  "Mindset",
+  "Mistakes Learned",
+];
+const emotionalTones = ["Motivational", "Sad", "Realization", "Gratitude"];
+const lessonStatuses = ["draft", "scheduled", "published"];
+
+const creatorSchema = {
+  email: { type: "string", required: true, maxLength: 254 },
+  name: { type: "string", maxLength: 80 },
+  photoURL: { type: "string", maxLength: 2048 },
+};
+
+const commentSchema = {
+  comment: { type: "string", required: true, minLength: 1, maxLength: 1000 },
+  parentId: { type: "objectId" },
+  lessonId: { type: "objectId", server: true, required: true },
+  author: {
+    type: "object",
+    server: true,
+    required: true,
+    properties: creatorSchema,
+  },
+  likes: { type: "array", server: true, items: { type: "string" } },
+  likeCount: { type: "number", server: true },
+  edits: { type: "array", server: true },
+  createdAt: { type: "date", server: true, required: true },
+  deletedAt: { type: "date", server: true },
+};
+
+const reportReasons = [
+  "spam",
+  "harassment",
+  "misinformation",
+  "inappropriate",
+  "copyright",
+  "other",
+];
+const reportStatuses = ["open", "dismissed", "actioned"];
+
+const reportSchema = {
+  reason: { type: "string", required: true, enum: reportReasons },
+  note: { type: "string", maxLength: 500 },
+  lessonId: { type: "objectId", server: true, required: true },
+  reporterEmail: { type: "string", server: true, required: true },
+  status: {
+    type: "string",
+    server: true,
+    required: true,
+    enum: reportStatuses,
+  },
+  createdAt: { type: "date", server: true, required: true },
+  resolvedAt: { type: "date", server: true },
+  resolvedBy: { type: "string", server: true },
+};
+
+const lessonSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  description: {
+    type: "string",
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+  },
+  category: { type: "string", required: true, enum: lessonCategories },
+  emotionalTone: { type: "string", required: true, enum: emotionalTones },
+  visibility: {
+    type: "string",
+    enum: ["public", "private"],
+    default: "public",
+  },
+  accessLevel: { type: "string", enum: ["free", "premium"], default: "free" },
+  status: { type: "string", enum: lessonStatuses, default: "published" },
+  publishAt: { type: "date" },
+  publishedAt: { type: "date", server: true },
+  image: { type: "string", maxLength: 2048 },
+  tags: {
+    type: "array",
+    maxItems: 10,
+    items: { type: "string", maxLength: 30 },
+  },
+  featured: { type: "boolean" },
+  creator: {
+    type: "object",
+    server: true,
+    required: true,
+    properties: creatorSchema,
+  },
+  createdAt: { type: "date", server: true, required: true },
+  hidden: { type: "boolean", server: true },
+  likeCount: { type: "number", server: true },
+  favoriteCount: { type: "number", server: true },
+  commentCount: { type: "number", server: true },
+  viewCount: { type: "number", server: true },
+  revisionCount: { type: "number", server: true },
+  updatedAt: { type: "date", server: true },
+  deletedAt: { type: "date", server: true },
+  deletedBy: { type: "string", server: true },
+  externalId: { type: "string", server: true, maxLength: 100 },
+};
+
+// user collections and creators' learning paths share one shape, the
+// lessonIds order is the reading order
+const collectionSchema = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 80 },
+  description: { type: "string", maxLength: 1000 },
+  visibility: {
+    type: "string",
+    enum: ["public", "private"],
+    default: "public",
+  },
+  coverLessonId: { type: "objectId" },
+  lessonIds: {
+    type: "array",
+    server: true,
+    required: true,
+    maxItems: 200,
+    items: { type: "objectId" },
+  },
+  ownerEmail: { type: "string", server: true, required: true },
+  createdAt: { type: "date", server: true, required: true },
+  updatedAt: { type: "date", server: true },
+};
+
+const accountStatuses = ["active", "suspended", "banned"];
+
+const userSchema = {
+  email: {
+    type: "string",
+    required: true,
+    maxLength: 254,
+    pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+  },
+  name: { type: "string", maxLength: 80 },
+  photoURL: { type: "string", maxLength: 2048 },
+  bio: { type: "string", maxLength: 500 },
+  role: { type: "string", server: true, enum: ["user", "admin"] },
+  isPremium: { type: "boolean", server: true },
+  premiumOverride: { type: "boolean", server: true },
+  create_at: { type: "date", server: true },
+  status: { type: "string", server: true, enum: accountStatuses },
+  statusReason: { type: "string", server: true, maxLength: 500 },
+  suspendedUntil: { type: "date", server: true },
+  statusChangedAt: { type: "date", server: true },
+  statusChangedBy: { type: "string", server: true },
+};
+
+// body of the admin suspend, ban and unban requests
+const accountActionSchema = {
+  reason: { type: "string", required: true, minLength: 3, maxLength: 500 },
+  until: { type: "date" },
+  hideLessons: { type: "boolean" },
+};
+
+const typeChecks = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  date: (value) => value instanceof Date && !Number.isNaN(value.getTime()),
+  // ids arrive as hex strings, the handler turns them into ObjectIds
+  objectId: (value) =>
+    typeof value === "string" && /^[a-f\d]{24}$/i.test(value),
+};
+
+const checkValue = (field, rule, value, errors) => {
+  if (!typeChecks[rule.type](value)) {
+    errors.push({
+      field,
+      message:
+        rule.type === "objectId"
+          ? "must be a valid id"
+          : `must be a ${rule.type}`,
+    });
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({
+      field,
+      message: `must be one of ${rule.enum.join(", ")}`,
+    });
+  }
+  if (rule.type === "string") {
+    if (rule.minLength && value.trim().length < rule.minLength) {
+      errors.push({
+        field,
+        message: `must be at least ${rule.minLength} characters`,
+      });
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${rule.maxLength} characters`,
+      });
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      errors.push({ field, message: "has an invalid format" });
+    }
+  }
+  if (rule.type === "array") {
+    if (rule.maxItems && value.length > rule.maxItems) {
+      errors.push({
+        field,
+        message: `must have at most ${rule.maxItems} items`,
+      });
+    }
+    if (rule.items) {
+      value.forEach((item, index) =>
+        checkValue(`${field}.${index}`, rule.items, item, errors)
+      );
+    }
+  }
+};
+
+// Checks a request body against a schema. Unknown and server fields are
+// dropped; `partial` skips required checks and defaults for updates.
+const validate = (schema, body, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+  const input = body || {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (rule.server) return;
+    const fieldValue = input[field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === "") {
+      if (partial) return;
+      if (rule.required) {
+        errors.push({ field, message: "is required" });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      return;
+    }
+    // dates arrive as strings in json
+    const typedValue =
+      rule.type === "date" && typeof fieldValue === "string"
+        ? new Date(fieldValue)
+        : fieldValue;
+    checkValue(field, rule, typedValue, errors);
+    value[field] = typedValue;
+  });
+  return { value, errors };
+};
+
+const bsonTypes = {
+  string: "string",
+  number: "number",
+  boolean: "bool",
+  array: "array",
+  object: "object",
+  date: "date",
+  objectId: "objectId",
+};
+
+// optional fields may also be stored as null, the driver writes undefined
+// values that way
+const toBsonSchema = (rule) => {
+  const bson = {
+    bsonType: rule.required
+      ? bsonTypes[rule.type]
+      : [bsonTypes[rule.type], "null"],
+  };
+  if (rule.enum) bson.enum = rule.required ? rule.enum : [...rule.enum, null];
+  if (rule.maxLength) bson.maxLength = rule.maxLength;
+  if (rule.pattern) bson.pattern = rule.pattern;
+  if (rule.maxItems) bson.maxItems = rule.maxItems;
+  if (rule.items) bson.items = toBsonSchema(rule.items);
+  if (rule.properties) Object.assign(bson, toJsonSchema(rule.properties));
+  return bson;
+};
+
+// Turns a schema into a mongo `$jsonSchema` document.
+const toJsonSchema = (schema) => {
+  const properties = {};
+  const required = [];
+  Object.entries(schema).forEach(([field, rule]) => {
+    properties[field] = toBsonSchema(rule);
+    if (rule.required) required.push(field);
+  });
+  const jsonSchema = { bsonType: "object", properties };
+  if (required.length) jsonSchema.required = required;
+  return jsonSchema;
+};
+
+module.exports = {
+  lessonCategories,
+  emotionalTones,
+  lessonStatuses,
+  reportReasons,
+  reportStatuses,
+  accountStatuses,
+  lessonSchema,
+  userSchema,
+  commentSchema,
+  reportSchema,
+  collectionSchema,
+  accountActionSchema,
+  validate,
+  toJsonSchema,
+};
@@ -0,0 +1,137 @@
+// Installs the $jsonSchema validators from ./schemas on the collections, so
+// documents written outside the api are checked too, and creates the indexes
+// the api relies on.
+// usage: node setupValidators.js
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+const {
+  lessonSchema,
+  userSchema,
+  commentSchema,
+  reportSchema,
+  collectionSchema,
+  toJsonSchema,
+} = require("./schemas");
+
+const validators = {
+  lessons: lessonSchema,
+  users: userSchema,
+  comments: commentSchema,
+  reports: reportSchema,
+  collections: collectionSchema,
+  learningPaths: collectionSchema,
+};
+
+const indexes = {
+  lessons: [
+    // /public-lessons search ranks title matches above the body
+    {
+      key: { title: "text", description: "text", tags: "text" },
+      weights: { title: 10, tags: 5, description: 1 },
+      name: "lesson_text",
+    },
+    {
+      key: { deletedAt: -1, _id: -1 },
+      partialFilterExpression: { deletedAt: { $exists: true } },
+    },
+    {
+      key: { externalId: 1 },
+      partialFilterExpression: { externalId: { $exists: true } },
+    },
+    { key: { favoriteCount: -1, _id: -1 } },
+    { key: { likeCount: -1, _id: -1 } },
+  ],
+  // trending only looks back 30 days
+  lessonActivity: [
+    { key: { createdAt: 1 }, expireAfterSeconds: 31 * 24 * 60 * 60 },
+    { key: { lessonId: 1, type: 1, email: 1 } },
+  ],
+  notifications: [
+    { key: { recipientEmail: 1, createdAt: -1, _id: -1 } },
+    { key: { recipientEmail: 1, read: 1 } },
+    // one unread notification per group, see notify()
+    {
+      key: { recipientEmail: 1, groupKey: 1 },
+      unique: true,
+      partialFilterExpression: {
+        groupKey: { $exists: true },
+        read: false,
+      },
+    },
+  ],
+  follows: [
+    { key: { followerEmail: 1, followingEmail: 1 }, unique: true },
+    { key: { followingEmail: 1, createdAt: -1, _id: -1 } },
+  ],
+  lessonRevisions: [{ key: { lessonId: 1, revision: -1 }, unique: true }],
+  auditLog: [
+    { key: { createdAt: -1, _id: -1 } },
+    { key: { actorEmail: 1, createdAt: -1 } },
+    { key: { "target.type": 1, "target.id": 1, createdAt: -1 } },
+  ],
+  // a viewer counts once per lesson per day, the keys are only needed
+  // until the day is over
+  lessonViews: [
+    { key: { lessonId: 1, viewerEmail: 1, day: 1 }, unique: true },
+    { key: { createdAt: 1 }, expireAfterSeconds: 2 * 24 * 60 * 60 },
+  ],
+  lessonStats: [
+    { key: { lessonId: 1, day: 1 }, unique: true },
+    { key: { creatorEmail: 1, day: 1 } },
+  ],
+  collections: [
+    { key: { ownerEmail: 1, createdAt: -1, _id: -1 } },
+    { key: { visibility: 1, createdAt: -1, _id: -1 } },
+  ],
+  learningPaths: [
+    { key: { ownerEmail: 1, createdAt: -1, _id: -1 } },
+    { key: { visibility: 1, createdAt: -1, _id: -1 } },
+  ],
+  // the admin user listing filters on these
+  users: [{ key: { email: 1 } }, { key: { status: 1, create_at: -1 } }],
+  // recent comments by an author, for the duplicate check
+  comments: [{ key: { "author.email": 1, createdAt: -1 } }],
+  // buckets expire once they would have refilled
+  rateLimits: [{ key: { expiresAt: 1 }, expireAfterSeconds: 0 }],
+  // one report per user per lesson
+  reports: [
+    { key: { lessonId: 1, reporterEmail: 1 }, unique: true },
+    { key: { status: 1, lessonId: 1 } },
+  ],
+};
+
+const client = new MongoClient(process.env.MONGODB_URI);
+
+async function run() {
+  try {
+    const database = client.db("digital-life-lessons");
+    const existing = (await database.listCollections().toArray()).map(
+      (collection) => collection.name
+    );
+    for (const [name, schema] of Object.entries(validators)) {
+      const options = {
+        validator: { $jsonSchema: toJsonSchema(schema) },
+        // documents that were already invalid (old string dates) can still
+        // be updated, new and valid documents have to stay valid
+        validationLevel: "moderate",
+        validationAction: "error",
+      };
+      if (existing.includes(name)) {
+        await database.command({ collMod: name, ...options });
+      } else {
+        await database.createCollection(name, options);
+      }
+      console.log(`Validator installed on ${name}`);
+    }
+    for (const [name, specs] of Object.entries(indexes)) {
+      await database.collection(name).createIndexes(specs);
+      console.log(`Indexes created on ${name}`);
+    }
+  } finally {
+    await client.close();
+  }
+}
+run().catch((error) => {
+  console.dir(error);
+  process.exitCode = 1;
+});
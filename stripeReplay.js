@@ -0,0 +1,28 @@
+// Sends a stripe fixture event to the local webhook, signed with
+// STRIPE_WEBHOOK_SECRET, so payments can be tested without stripe.
+// usage: node stripeReplay.js stripe-fixtures/checkout.session.completed.json
+require("dotenv").config();
+const fs = require("fs");
+const stripe = require("stripe")(process.env.STRIPE_KEY);
+
+const fixturePath = process.argv[2];
+const url =
+  process.argv[3] ||
+  `http://localhost:${process.env.PORT || 3000}/stripe/webhook`;
+
+const payload = fs.readFileSync(fixturePath, "utf-8");
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(url, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch(console.dir);